@@ -0,0 +1,47 @@
+/**
+ * Construction benchmark for the binding plan cache.
+ *
+ *   node bench/plan-cache.js [instances]
+ *
+ * Compares `autoBind(this)` in a constructor with the plan cache against
+ * the same construction with the cache cleared before every instance.
+ */
+
+'use strict';
+
+const autoBind = require('../src/index.cjs');
+
+const COUNT = Number(process.argv[2]) || 100000;
+
+class Row {
+  constructor() {
+    autoBind(this);
+  }
+
+  m1() {}
+  m2() {}
+  m3() {}
+  m4() {}
+  m5() {}
+  m6() {}
+  m7() {}
+  m8() {}
+  m9() {}
+  m10() {}
+  m11() {}
+}
+
+function run(label, beforeEach) {
+  for (let i = 0; i < 1000; i++) new Row();
+
+  const start = process.hrtime.bigint();
+  for (let i = 0; i < COUNT; i++) {
+    beforeEach();
+    new Row();
+  }
+  const ms = Number(process.hrtime.bigint() - start) / 1e6;
+  console.log(`${label}: ${ms.toFixed(0)} ms for ${COUNT} instances (${((ms * 1e6) / COUNT).toFixed(0)} ns each)`);
+}
+
+run('cached', () => {});
+run('uncached', autoBind.clearCache);
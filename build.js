@@ -14,6 +14,9 @@ const files = [
   ['src/index.mjs', 'dist/index.mjs'],
   ['src/index.cjs', 'dist/index.cjs'],
   ['src/index.d.ts', 'dist/index.d.ts'],
+  ['src/testing.mjs', 'dist/testing.mjs'],
+  ['src/testing.cjs', 'dist/testing.cjs'],
+  ['src/testing.d.ts', 'dist/testing.d.ts'],
 ];
 
 for (const [src, dest] of files) {
@@ -28,17 +31,27 @@ fs.writeFileSync(path.join(distDir, 'react.mjs'), reactMjs);
 const reactCjs = `'use strict';\nconst { autoBindReact } = require('./index.cjs');\nmodule.exports = autoBindReact;\nmodule.exports.default = autoBindReact;\nmodule.exports.autoBindReact = autoBindReact;\n`;
 fs.writeFileSync(path.join(distDir, 'react.cjs'), reactCjs);
 
-const reactDts = `import { AutoBindOptions } from './index';\ndeclare function autoBindReact<T extends object>(self: T, options?: AutoBindOptions): T;\nexport default autoBindReact;\nexport { autoBindReact };\n`;
+const reactDts = `export { autoBindReact as default, autoBindReact } from './index';\n`;
 fs.writeFileSync(path.join(distDir, 'react.d.ts'), reactDts);
 
+// Create element entry points (re-export autoBindElement as default)
+const elementMjs = `export { autoBindElement as default, autoBindElement } from './index.mjs';\n`;
+fs.writeFileSync(path.join(distDir, 'element.mjs'), elementMjs);
+
+const elementCjs = `'use strict';\nconst { autoBindElement } = require('./index.cjs');\nmodule.exports = autoBindElement;\nmodule.exports.default = autoBindElement;\nmodule.exports.autoBindElement = autoBindElement;\n`;
+fs.writeFileSync(path.join(distDir, 'element.cjs'), elementCjs);
+
+const elementDts = `export { autoBindElement as default, autoBindElement } from './index';\n`;
+fs.writeFileSync(path.join(distDir, 'element.d.ts'), elementDts);
+
 // Create decorator entry points
-const decoratorMjs = `export { boundClass, bound, boundClass as default } from './index.mjs';\n`;
+const decoratorMjs = `export { boundClass, bound, debounced, throttled, boundClass as default } from './index.mjs';\n`;
 fs.writeFileSync(path.join(distDir, 'decorator.mjs'), decoratorMjs);
 
-const decoratorCjs = `'use strict';\nconst { boundClass, bound } = require('./index.cjs');\nmodule.exports = boundClass;\nmodule.exports.default = boundClass;\nmodule.exports.boundClass = boundClass;\nmodule.exports.bound = bound;\n`;
+const decoratorCjs = `'use strict';\nconst { boundClass, bound, debounced, throttled } = require('./index.cjs');\nmodule.exports = boundClass;\nmodule.exports.default = boundClass;\nmodule.exports.boundClass = boundClass;\nmodule.exports.bound = bound;\nmodule.exports.debounced = debounced;\nmodule.exports.throttled = throttled;\n`;
 fs.writeFileSync(path.join(distDir, 'decorator.cjs'), decoratorCjs);
 
-const decoratorDts = `export { boundClass, bound, boundClass as default } from './index';\n`;
+const decoratorDts = `export { boundClass, bound, debounced, throttled, boundClass as default } from './index';\n`;
 fs.writeFileSync(path.join(distDir, 'decorator.d.ts'), decoratorDts);
 
 console.log('\\n✅ Build complete!');
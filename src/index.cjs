@@ -18,125 +18,1495 @@ const BUILTIN_OBJECT_METHODS = new Set([
   '__lookupSetter__',
 ]);
 
-function getAllMethodNames(obj) {
-  const methods = new Set();
+// Errors
+class AutoBindError extends TypeError {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'AutoBindError';
+    this.code = code;
+    if (details.key !== undefined) this.key = details.key;
+    if (details.target !== undefined) this.target = details.target;
+  }
+}
+
+const UNSAFE_KEYS = new Set(['__proto__']);
+
+function isObjectLike(value) {
+  return (typeof value === 'object' && value !== null) || typeof value === 'function';
+}
+
+function describeValue(value) {
+  if (value === null) return 'null';
+  if (typeof value === 'string') return `string "${value}"`;
+  return typeof value === 'object' || typeof value === 'function' ? typeof value : `${typeof value} ${String(value)}`;
+}
+
+function assertTarget(self, api) {
+  if (!isObjectLike(self)) {
+    throw new AutoBindError(
+      'INVALID_TARGET',
+      `${api}: expected an object or class instance, got ${describeValue(self)}`,
+      { target: self }
+    );
+  }
+}
+
+function normalizeOptions(args) {
+  const options = args[1];
+  if (typeof options !== 'string') return options;
+  return { include: Array.prototype.slice.call(args, 1) };
+}
+
+const IMPLICIT_EXCLUDE = Symbol('autoBind.implicitExclude');
+
+const prototypeGetters = new WeakSet();
+
+function isMethodDescriptor(descriptor) {
+  return !!descriptor &&
+    (typeof descriptor.value === 'function' || prototypeGetters.has(descriptor.get));
+}
+
+function getMethod(proto, key) {
+  if (!proto) return undefined;
+  const descriptor = Object.getOwnPropertyDescriptor(proto, key);
+  if (!descriptor) return undefined;
+  return prototypeGetters.has(descriptor.get) ? descriptor.get.call(proto) : descriptor.value;
+}
+
+function toStopCondition(stopAt) {
+  if (stopAt === undefined || stopAt === null) return () => false;
+  if (typeof stopAt === 'number') return (proto, depth) => depth >= stopAt;
+  const stopProto = typeof stopAt === 'function' ? stopAt.prototype : stopAt;
+  return (proto) => proto === stopProto;
+}
+
+function getAllMethodNames(obj, stopAt) {
+  const methods = new Map();
+  const shouldStop = toStopCondition(stopAt);
+  let proto = Object.getPrototypeOf(obj);
+  let depth = 0;
+
+  while (proto && proto !== Object.prototype && !shouldStop(proto, depth)) {
+    const keys = Object.getOwnPropertyNames(proto);
+    for (const key of keys) {
+      if (key === 'constructor' || methods.has(key)) continue;
+      const descriptor = Object.getOwnPropertyDescriptor(proto, key);
+      if (isMethodDescriptor(descriptor)) {
+        methods.set(key, proto);
+      }
+    }
+
+    const symbols = Object.getOwnPropertySymbols(proto);
+    for (const sym of symbols) {
+      if (methods.has(sym)) continue;
+      const descriptor = Object.getOwnPropertyDescriptor(proto, sym);
+      if (isMethodDescriptor(descriptor)) {
+        methods.set(sym, proto);
+      }
+    }
+
+    proto = Object.getPrototypeOf(proto);
+    depth++;
+  }
+
+  return methods;
+}
+
+// Name matching
+function keyName(key) {
+  return typeof key === 'symbol' ? key.description : key;
+}
+
+function isGlob(str) {
+  return str.includes('*') || str.includes('?');
+}
+
+function globToRegExp(glob) {
+  let source = '';
+  for (const char of glob) {
+    if (char === '*') source += '.*';
+    else if (char === '?') source += '.';
+    else source += char.replace(/[\\^$.|+()[\]{}]/g, '\\$&');
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function compileMatcher(matcher) {
+  if (typeof matcher === 'symbol') {
+    return (key) => key === matcher;
+  }
+  if (matcher instanceof RegExp) {
+    return (key) => {
+      const name = keyName(key);
+      if (name === undefined) return false;
+      matcher.lastIndex = 0;
+      return matcher.test(name);
+    };
+  }
+  if (typeof matcher === 'string' && isGlob(matcher)) {
+    const regex = globToRegExp(matcher);
+    return (key) => {
+      const name = keyName(key);
+      return name !== undefined && regex.test(name);
+    };
+  }
+  return (key) => key === matcher || keyName(key) === matcher;
+}
+
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function toMatcher(spec) {
+  const matchers = toList(spec).map(compileMatcher);
+  return (key) => matchers.some((match) => match(key));
+}
+
+const SKIP_REASONS = {
+  BUILTIN: 'builtin',
+  NOT_INCLUDED: 'not-included',
+  EXCLUDED: 'excluded',
+  LIFECYCLE: 'lifecycle',
+  PATTERN_MISMATCH: 'pattern-mismatch',
+  FILTERED: 'filtered',
+  STOP_AT: 'stop-at',
+  ALREADY_BOUND: 'already-bound',
+  NON_CONFIGURABLE: 'non-configurable',
+  NOT_EXTENSIBLE: 'not-extensible',
+  UNSAFE_KEY: 'unsafe-key',
+};
+
+const CONFLICT_REASONS = {
+  NON_CONFIGURABLE: SKIP_REASONS.NON_CONFIGURABLE,
+  NOT_EXTENSIBLE: SKIP_REASONS.NOT_EXTENSIBLE,
+  UNSAFE_KEY: SKIP_REASONS.UNSAFE_KEY,
+};
+
+function classifyMethods(methods, options = {}) {
+  const isIncluded = options.include && toMatcher(options.include);
+  const isExcluded = options.exclude && toMatcher(options.exclude);
+  const isImplicit = options[IMPLICIT_EXCLUDE] && toMatcher(options[IMPLICIT_EXCLUDE]);
+  const isMatch = options.pattern && toMatcher(options.pattern);
+  const filters = toList(options.filter);
+
+  const skipReason = (key, owner) => {
+    if (typeof key === 'string' && BUILTIN_OBJECT_METHODS.has(key)) return SKIP_REASONS.BUILTIN;
+    if (isIncluded && !isIncluded(key)) return SKIP_REASONS.NOT_INCLUDED;
+    if (isExcluded && isExcluded(key)) return SKIP_REASONS.EXCLUDED;
+    if (isImplicit && isImplicit(key)) return SKIP_REASONS.LIFECYCLE;
+    if (isMatch && !isMatch(key)) return SKIP_REASONS.PATTERN_MISMATCH;
+    if (filters.length && !filters.every((f) => f(key, getMethod(owner, key), owner))) {
+      return SKIP_REASONS.FILTERED;
+    }
+    return null;
+  };
+
+  return [...methods].map(([key, owner]) => ({ key, owner, reason: skipReason(key, owner) }));
+}
+
+function filterMethods(methods, options) {
+  return classifyMethods(methods, options)
+    .filter((entry) => entry.reason === null)
+    .map((entry) => entry.key);
+}
+
+// Binding plan cache
+let planCache = new WeakMap();
+
+const PLAN_OPTIONS = ['include', 'exclude', 'pattern', 'filter', 'stopAt', IMPLICIT_EXCLUDE];
+
+const MAX_PLANS_PER_PROTOTYPE = 16;
+
+function snapshotOptions(options = {}, names = PLAN_OPTIONS) {
+  const snapshot = {};
+  for (const name of names) {
+    const value = options[name];
+    snapshot[name] = Array.isArray(value) ? [...value] : value;
+  }
+  return snapshot;
+}
+
+function sameOptionValue(a, b) {
+  if (a === b) return true;
+  if (Array.isArray(a) && Array.isArray(b)) {
+    if (a.length !== b.length) return false;
+    for (let i = 0; i < a.length; i++) {
+      if (!sameOptionValue(a[i], b[i])) return false;
+    }
+    return true;
+  }
+  if (a instanceof RegExp && b instanceof RegExp) {
+    return a.source === b.source && a.flags === b.flags;
+  }
+  return false;
+}
+
+function matchesOptions(snapshot, options, names = PLAN_OPTIONS) {
+  for (let i = 0; i < names.length; i++) {
+    const name = names[i];
+    if (!sameOptionValue(snapshot[name], options ? options[name] : undefined)) return false;
+  }
+  return true;
+}
+
+function snapshotChain(obj) {
+  const chain = [];
+  let proto = Object.getPrototypeOf(obj);
+  while (proto && proto !== Object.prototype) {
+    chain.push({ proto, keys: Reflect.ownKeys(proto) });
+    proto = Object.getPrototypeOf(proto);
+  }
+  return chain;
+}
+
+function isChainUnchanged(proto, chain) {
+  for (let i = 0; i < chain.length; i++) {
+    const link = chain[i];
+    if (proto !== link.proto) return false;
+    const keys = Reflect.ownKeys(proto);
+    if (keys.length !== link.keys.length) return false;
+    for (let j = 0; j < keys.length; j++) {
+      if (keys[j] !== link.keys[j]) return false;
+    }
+    proto = Object.getPrototypeOf(proto);
+  }
+  return !proto || proto === Object.prototype;
+}
+
+function resolvePlan(self, options) {
+  const proto = Object.getPrototypeOf(self);
+  if (!proto) return createPlan(self, options);
+
+  let entries = planCache.get(proto);
+  if (entries) {
+    for (let i = 0; i < entries.length; i++) {
+      const entry = entries[i];
+      if (matchesOptions(entry.options, options) && isChainUnchanged(proto, entry.chain)) {
+        return entry.plan;
+      }
+    }
+    entries = entries.filter((entry) => !matchesOptions(entry.options, options));
+  } else {
+    entries = [];
+  }
+
+  const plan = createPlan(self, options);
+  entries.push({ options: snapshotOptions(options), chain: snapshotChain(self), plan });
+  if (entries.length > MAX_PLANS_PER_PROTOTYPE) entries.shift();
+  planCache.set(proto, entries);
+  return plan;
+}
+
+function createPlan(self, options) {
+  const stopAt = options && options.stopAt;
+  const allMethods = getAllMethodNames(self, stopAt);
+  const methods = filterMethods(allMethods, options);
+  const known = stopAt === undefined || stopAt === null ? allMethods : getAllMethodNames(self);
+  return { methods, unknown: findUnknownNames(known, options) };
+}
+
+function clearCache() {
+  planCache = new WeakMap();
+}
+
+// Strict mode
+const defaults = {
+  strict: false,
+};
+
+function configure(settings = {}) {
+  if (settings.strict !== undefined) defaults.strict = !!settings.strict;
+}
+
+function isDevelopment() {
+  return typeof process === 'undefined' || !process.env || process.env.NODE_ENV !== 'production';
+}
+
+function findUnknownNames(methods, options) {
+  const unknown = [];
+  if (!options) return unknown;
+
+  for (const option of ['include', 'exclude']) {
+    if (!options[option]) continue;
+    for (const name of toList(options[option])) {
+      const isExactName = typeof name === 'symbol' || (typeof name === 'string' && !isGlob(name));
+      if (!isExactName || BUILTIN_OBJECT_METHODS.has(name)) continue;
+      if ([...methods.keys()].some(toMatcher(name))) continue;
+      unknown.push({ option, name });
+    }
+  }
+
+  return unknown;
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function suggestNames(name, methods) {
+  if (typeof name !== 'string') return [];
+  const maxDistance = Math.max(2, Math.floor(name.length / 3));
+  return [...methods.keys()]
+    .filter((key) => typeof key === 'string' && !BUILTIN_OBJECT_METHODS.has(key))
+    .map((key) => ({ key, distance: editDistance(name.toLowerCase(), key.toLowerCase()) }))
+    .filter(({ distance }) => distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, 3)
+    .map(({ key }) => key);
+}
+
+function describeClass(self) {
+  if (typeof self === 'function' && self.name) return self.name;
+  const ctor = self && self.constructor;
+  return (ctor && ctor.name) || 'object';
+}
+
+function formatUnknownNames(self, unknown, methods) {
+  const lines = unknown.map(({ option, name }) => {
+    const suggestions = suggestNames(name, methods);
+    const hint = suggestions.length
+      ? ` Did you mean ${suggestions.map((s) => `"${s}"`).join(', ')}?`
+      : '';
+    return `"${String(name)}" in ${option} does not match any method of ${describeClass(self)}.${hint}`;
+  });
+  return `autoBind: ${lines.join(' ')}`;
+}
+
+const warnedMessages = new Set();
+
+function reportUnknownNames(self, unknown, options) {
+  if (unknown.length === 0) return;
+
+  const strict = options && options.strict !== undefined ? options.strict : defaults.strict;
+  if (!strict && !isDevelopment()) return;
+
+  const message = formatUnknownNames(self, unknown, getAllMethodNames(self));
+  if (strict) throw new AutoBindError('UNKNOWN_METHOD', message, { target: self });
+
+  if (!warnedMessages.has(message)) {
+    warnedMessages.add(message);
+    console.warn(message);
+  }
+}
+
+// Presets
+const presets = new Map();
+
+function definePreset(name, definition) {
+  if (typeof name !== 'string' || name === '') {
+    throw new AutoBindError('INVALID_PRESET', 'autoBind.definePreset: name must be a non-empty string');
+  }
+  if (!definition || typeof definition !== 'object') {
+    throw new AutoBindError(
+      'INVALID_PRESET',
+      `autoBind.definePreset: preset "${name}" must be an options object`
+    );
+  }
+  presets.set(name, { ...definition });
+}
+
+const LIST_OPTIONS = ['include', 'pattern', 'filter', 'wrap'];
+
+function mergeOptions(target, source, excludeKey) {
+  for (const key of Reflect.ownKeys(source)) {
+    if (key === 'preset' || key === 'resolve' || source[key] === undefined) continue;
+    if (key === 'exclude' || key === IMPLICIT_EXCLUDE) {
+      const into = key === 'exclude' ? excludeKey : IMPLICIT_EXCLUDE;
+      target[into] = [...toList(target[into]), ...toList(source[key])];
+    } else if (LIST_OPTIONS.includes(key)) {
+      target[key] = [...toList(target[key]), ...toList(source[key])];
+    } else {
+      target[key] = source[key];
+    }
+  }
+}
+
+function collectPresets(self, names, target, seen) {
+  for (const name of toList(names)) {
+    if (seen.has(name)) continue;
+    seen.add(name);
+
+    const definition = presets.get(name);
+    if (!definition) {
+      const available = [...presets.keys()].map((n) => `"${n}"`).join(', ');
+      throw new AutoBindError(
+        'UNKNOWN_PRESET',
+        `autoBind: unknown preset "${name}". Available presets: ${available}`
+      );
+    }
+
+    collectPresets(self, definition.preset, target, seen);
+    mergeOptions(target, definition, IMPLICIT_EXCLUDE);
+    if (typeof definition.resolve === 'function') {
+      mergeOptions(target, definition.resolve(self) || {}, IMPLICIT_EXCLUDE);
+    }
+  }
+}
+
+function applyPresets(self, options) {
+  if (!options || options.preset === undefined) return options;
+
+  const merged = {};
+  collectPresets(self, options.preset, merged, new Set());
+  mergeOptions(merged, options, 'exclude');
+  return merged;
+}
+
+// Binding
+const installed = new WeakMap();
+
+function recordInstalled(self, key, value) {
+  let record = installed.get(self);
+  if (!record) {
+    record = new Map();
+    installed.set(self, record);
+  }
+  record.set(key, value);
+}
+
+const boundFunctions = new WeakMap();
+
+function bindTo(fn, target) {
+  const boundFn = fn.bind(target);
+  boundFunctions.set(boundFn, { target, original: fn });
+  return boundFn;
+}
+
+function assertHooks(options, api) {
+  for (const wrap of toList(options && options.wrap)) {
+    if (typeof wrap !== 'function') {
+      throw new AutoBindError('INVALID_OPTION', `${api}: wrap must be a function, got ${describeValue(wrap)}`);
+    }
+  }
+  if (options && options.onError !== undefined && typeof options.onError !== 'function') {
+    throw new AutoBindError(
+      'INVALID_OPTION',
+      `${api}: onError must be a function, got ${describeValue(options.onError)}`
+    );
+  }
+  if (options && options.weak) assertWeakOptions(options, api);
+  for (const kind of TIMING_OPTIONS) {
+    const specs = options && options[kind];
+    if (specs === undefined) continue;
+    if (!specs || typeof specs !== 'object') {
+      throw new AutoBindError('INVALID_OPTION', `${api}: ${kind} must map method names to delays`);
+    }
+    for (const key of Reflect.ownKeys(specs)) normalizeTiming(specs[key], `${api}: ${kind}.${keyName(key)}`);
+  }
+}
+
+function isThenable(value) {
+  return isObjectLike(value) && typeof value.then === 'function';
+}
+
+function catchErrors(onError, rethrow, weak) {
+  return (fn, name, self) => {
+    const ref = refTo(self, weak);
+    return (...args) => {
+      const handle = (error) => {
+        const result = onError(error, { name, self: ref.deref(), args });
+        if (rethrow) throw error;
+        return result;
+      };
+
+      let result;
+      try {
+        result = fn(...args);
+      } catch (error) {
+        return handle(error);
+      }
+      return isThenable(result) ? result.then(undefined, handle) : result;
+    };
+  };
+}
+
+function getWrappers(options, key) {
+  if (!options) return [];
+  const wrappers = [...toList(options.wrap)];
+  if (options.instrument) wrappers.unshift(instrument);
+  if (options.onError) wrappers.push(catchErrors(options.onError, options.rethrow, options.weak));
+  for (const kind of TIMING_OPTIONS) {
+    const specs = options[kind];
+    if (specs && Object.prototype.hasOwnProperty.call(specs, key)) {
+      const timing = normalizeTiming(specs[key]);
+      wrappers.push((fn) => (kind === 'debounce' ? debounce : throttle)(fn, timing));
+    }
+  }
+  return wrappers;
+}
+
+function createBound(fn, self, key, options) {
+  const weak = !!(options && options.weak);
+  const wrappers = getWrappers(options, key);
+  let boundFn = weak ? bindWeak(fn, self, key, options.onCollected) : bindTo(fn, self);
+  if (wrappers.length === 0 && !weak) return boundFn;
+  const record = boundFunctions.get(boundFn);
+
+  for (const wrap of wrappers) {
+    const wrapped = wrap(boundFn, key, self);
+    if (typeof wrapped === 'function') boundFn = wrapped;
+  }
+
+  boundFunctions.set(boundFn, record);
+  if (weak) trackWeak(self, key, boundFn, options.onLeak);
+  return boundFn;
+}
+
+function isBoundTo(fn, target) {
+  const info = boundFunctions.get(fn);
+  return !!info && info.target === unwrapProxy(target);
+}
+
+function hasOwnBinding(self, key) {
+  const descriptor = Object.getOwnPropertyDescriptor(self, key);
+  if (!descriptor) return false;
+  if (isBoundTo(descriptor.value, self)) return true;
+
+  const record = installed.get(self);
+  return !!descriptor.get && !!record && record.get(key) === descriptor.get;
+}
+
+function isBound(fn, target) {
+  return arguments.length > 1 ? isBoundTo(fn, target) : boundFunctions.has(fn);
+}
+
+function bindingState(self, key) {
+  const descriptor = Object.getOwnPropertyDescriptor(self, key);
+  if (descriptor) {
+    if (isBoundTo(descriptor.value, self)) return 'bound';
+    const record = installed.get(self);
+    return descriptor.get && record && record.get(key) === descriptor.get ? 'lazy' : null;
+  }
+
+  const inherited = findDescriptorInChain(self, key);
+  if (!inherited || !inherited.get) return null;
+  return prototypeGetters.has(inherited.get) || decoratorGetters.has(inherited.get) ? 'lazy' : null;
+}
+
+function original(fn) {
+  const info = boundFunctions.get(fn);
+  const method = info ? info.original : fn;
+  const lookup = guardedMethods.get(method);
+  return lookup ? lookup() : method;
+}
+
+function defineBound(self, key, boundFn) {
+  const existing = saveReplaced(self, key);
+  Object.defineProperty(self, key, {
+    value: boundFn,
+    writable: true,
+    configurable: true,
+    enumerable: !!existing && !!existing.enumerable,
+  });
+  recordInstalled(self, key, boundFn);
+}
+
+const replaced = new WeakMap();
+
+function saveReplaced(self, key) {
+  let saved = replaced.get(self);
+  if (saved && saved.has(key)) return saved.get(key);
+
+  const descriptor = Object.getOwnPropertyDescriptor(self, key);
+  if (!descriptor || hasOwnBinding(self, key)) return undefined;
+
+  if (!saved) {
+    saved = new Map();
+    replaced.set(self, saved);
+  }
+  saved.set(key, descriptor);
+  return descriptor;
+}
+
+function getOwnMethodNames(obj) {
+  const methods = new Map();
+  for (const key of Reflect.ownKeys(obj)) {
+    const descriptor = Object.getOwnPropertyDescriptor(obj, key);
+    if (!descriptor || typeof descriptor.value !== 'function') continue;
+    if (isBoundTo(descriptor.value, obj)) continue;
+    methods.set(key, obj);
+  }
+  return methods;
+}
+
+function addOwnMethods(self, plan, options) {
+  const ownMethods = getOwnMethodNames(self);
+  if (ownMethods.size === 0) return plan;
+
+  const own = filterMethods(ownMethods, options);
+  const isOwn = (key) => ownMethods.has(key);
+  return {
+    methods: [...own, ...plan.methods.filter((key) => !isOwn(key))],
+    own,
+    unknown: plan.unknown.filter(({ name }) => ![...ownMethods.keys()].some(toMatcher(name))),
+  };
+}
+
+function findConflict(self, key) {
+  const method = () => `${describeClass(self)}#${String(key)}`;
+
+  if (UNSAFE_KEYS.has(key)) {
+    return new AutoBindError(
+      'UNSAFE_KEY',
+      `autoBind: refusing to bind ${method()}: "${key}" is not safe to define on an instance`,
+      { key, target: self }
+    );
+  }
+
+  const descriptor = Object.getOwnPropertyDescriptor(self, key);
+  if (descriptor && !descriptor.configurable) {
+    return new AutoBindError(
+      'NON_CONFIGURABLE',
+      `autoBind: cannot bind ${method()}: the instance has a non-configurable own property with that name`,
+      { key, target: self }
+    );
+  }
+  if (!descriptor && !Object.isExtensible(self)) {
+    return new AutoBindError(
+      'NOT_EXTENSIBLE',
+      `autoBind: cannot bind ${method()}: the instance is frozen, sealed or not extensible. ` +
+        "Use { mode: 'proxy' } for immutable objects",
+      { key, target: self }
+    );
+  }
+  return null;
+}
+
+function canDefine(self, key, onConflict = 'throw') {
+  const conflict = findConflict(self, key);
+  if (!conflict) return true;
+
+  if (onConflict === 'warn') console.warn(conflict.message);
+  else if (onConflict !== 'skip') throw conflict;
+  return false;
+}
+
+function bindEager(self, methods, options = {}) {
+  for (const method of methods) {
+    const val = self[method];
+    if (typeof val === 'function' && !isBoundTo(val, self) && canDefine(self, method, options.onConflict)) {
+      defineBound(self, method, createBound(val, self, method, options));
+    }
+  }
+}
+
+function bindLazy(self, methods, options = {}) {
+  for (const method of methods) {
+    if (hasOwnBinding(self, method) || !canDefine(self, method, options.onConflict)) continue;
+
+    const proto = Object.getPrototypeOf(self);
+    const descriptor = Object.getOwnPropertyDescriptor(self, method) ||
+      Object.getOwnPropertyDescriptor(proto, method) ||
+      findDescriptorInChain(self, method);
+
+    if (!descriptor || typeof descriptor.value !== 'function') continue;
+
+    const originalFn = descriptor.value;
+    saveReplaced(self, method);
+
+    const get = function () {
+      const boundFn = createBound(originalFn, self, method, options);
+      defineBound(self, method, boundFn);
+      return boundFn;
+    };
+
+    Object.defineProperty(self, method, {
+      configurable: true,
+      enumerable: false,
+      get,
+    });
+    recordInstalled(self, method, get);
+  }
+}
+
+const prototypePlans = new WeakMap();
+
+const prototypeHooks = new WeakMap();
+
+function bindPrototype(self, methods, options) {
+  const proto = Object.getPrototypeOf(self);
+  if (!proto) return;
+
+  if (hasHooks(options)) prototypeHooks.set(self, options);
+  else prototypeHooks.delete(self);
+
+  let plans = prototypePlans.get(proto);
+  if (plans && plans.has(methods)) return;
+
+  for (const method of methods) {
+    const descriptor = findDescriptorInChain(self, method);
+    if (!descriptor || typeof descriptor.value !== 'function') continue;
+    installPrototypeGetter(proto, method);
+  }
+
+  if (!plans) {
+    plans = new WeakSet();
+    prototypePlans.set(proto, plans);
+  }
+  plans.add(methods);
+}
+
+const prototypeDescriptors = new WeakMap();
+
+function installPrototypeGetter(proto, key) {
+  const own = Object.getOwnPropertyDescriptor(proto, key);
+  const lookup = own ? () => own.value : () => getMethod(findOwner(proto, key), key);
+
+  const get = function () {
+    const fn = lookup();
+    if (findOwner(this, key) !== proto || typeof fn !== 'function') return fn;
+
+    const boundFn = createBound(fn, this, key, prototypeHooks.get(this));
+    if (findConflict(this, key)) return boundFn;
+
+    defineBound(this, key, boundFn);
+    return boundFn;
+  };
+
+  const set = function (value) {
+    Object.defineProperty(this, key, {
+      value,
+      writable: true,
+      configurable: true,
+      enumerable: true,
+    });
+  };
+
+  let saved = prototypeDescriptors.get(proto);
+  if (!saved) {
+    saved = new Map();
+    prototypeDescriptors.set(proto, saved);
+  }
+  saved.set(key, own);
+
+  Object.defineProperty(proto, key, {
+    configurable: true,
+    enumerable: false,
+    get,
+    set,
+  });
+  prototypeGetters.add(get);
+}
+
+function restorePrototype(proto, options) {
+  const saved = prototypeDescriptors.get(proto);
+  if (!saved) return;
+
+  const methods = new Map([...saved.keys()].map((key) => [key, proto]));
+  for (const key of filterMethods(methods, options)) {
+    const descriptor = Object.getOwnPropertyDescriptor(proto, key);
+    if (descriptor && prototypeGetters.has(descriptor.get)) {
+      if (saved.get(key)) Object.defineProperty(proto, key, saved.get(key));
+      else delete proto[key];
+    }
+    saved.delete(key);
+  }
+  prototypePlans.delete(proto);
+}
+
+const HOOK_OPTIONS = ['wrap', 'onError', 'rethrow', 'instrument', 'weak', 'onCollected', 'onLeak'];
+
+function snapshotTimings(specs) {
+  if (!specs) return undefined;
+  const timings = {};
+  for (const key of Reflect.ownKeys(specs)) timings[key] = normalizeTiming(specs[key]);
+  return timings;
+}
+
+function sameTimings(timings, specs) {
+  const keys = timings ? Reflect.ownKeys(timings) : [];
+  if (keys.length !== (specs ? Reflect.ownKeys(specs).length : 0)) return false;
+  return keys.every((key) => {
+    if (!Object.prototype.hasOwnProperty.call(specs, key)) return false;
+    const a = timings[key];
+    const b = normalizeTiming(specs[key]);
+    return a.wait === b.wait && a.leading === b.leading && a.trailing === b.trailing;
+  });
+}
+
+function snapshotHooks(options = {}) {
+  const snapshot = snapshotOptions(options, HOOK_OPTIONS);
+  for (const kind of TIMING_OPTIONS) snapshot[kind] = snapshotTimings(options[kind]);
+  return snapshot;
+}
+
+function matchesHooks(snapshot, options) {
+  return matchesOptions(snapshot, options, HOOK_OPTIONS) &&
+    TIMING_OPTIONS.every((kind) => sameTimings(snapshot[kind], options && options[kind]));
+}
+
+function hasHooks(options) {
+  if (!options) return false;
+  const isSet = (name) => options[name] !== undefined;
+  return HOOK_OPTIONS.some(isSet) || TIMING_OPTIONS.some(isSet);
+}
+
+function findCached(cache, self, methods, options) {
+  const entries = cache.get(self);
+  const entry = entries && entries.find(
+    (candidate) => candidate.methods === methods && matchesHooks(candidate.hooks, options)
+  );
+  return entry && entry.value;
+}
+
+function addCached(cache, self, methods, options, value) {
+  let entries = cache.get(self);
+  if (!entries) {
+    entries = [];
+    cache.set(self, entries);
+  }
+  entries.push({ methods, hooks: snapshotHooks(options), value });
+  if (entries.length > MAX_PLANS_PER_PROTOTYPE) entries.shift();
+  return value;
+}
+
+const proxies = new WeakMap();
+
+const proxyTargets = new WeakMap();
+
+function unwrapProxy(obj) {
+  return proxyTargets.get(obj) || obj;
+}
+
+function bindProxy(self, methods, options) {
+  const cached = findCached(proxies, self, methods, options);
+  if (cached) return cached;
+
+  const keys = new Set(methods);
+  const cache = new Map();
+
+  const proxy = new Proxy(self, {
+    get(target, key, receiver) {
+      const value = Reflect.get(target, key, receiver === proxy ? target : receiver);
+      if (
+        typeof value !== 'function' ||
+        !keys.has(key) ||
+        Object.prototype.hasOwnProperty.call(target, key)
+      ) {
+        return value;
+      }
+
+      let boundFn = cache.get(key);
+      if (!boundFn || original(boundFn) !== value) {
+        boundFn = createBound(value, target, key, options);
+        cache.set(key, boundFn);
+      }
+      return boundFn;
+    },
+  });
+
+  proxyTargets.set(proxy, self);
+  return addCached(proxies, self, methods, options, proxy);
+}
+
+function findOwner(obj, key) {
+  let proto = Object.getPrototypeOf(obj);
+  while (proto && !Object.prototype.hasOwnProperty.call(proto, key)) {
+    proto = Object.getPrototypeOf(proto);
+  }
+  return proto;
+}
+
+function findDescriptorInChain(obj, key) {
   let proto = Object.getPrototypeOf(obj);
+  while (proto && proto !== Object.prototype) {
+    const desc = Object.getOwnPropertyDescriptor(proto, key);
+    if (desc) return desc;
+    proto = Object.getPrototypeOf(proto);
+  }
+  return undefined;
+}
+
+function autoBind(self, options) {
+  options = normalizeOptions(arguments);
+  assertTarget(self, 'autoBind');
+  options = applyPresets(self, options);
+  assertHooks(options, 'autoBind');
+
+  let plan = resolvePlan(self, options);
+  if (options && options.own && options.mode !== 'proxy') plan = addOwnMethods(self, plan, options);
+
+  const { methods, unknown } = plan;
+  reportUnknownNames(self, unknown, options);
+
+  if (options && options.mode === 'proxy') {
+    return bindProxy(self, methods, options);
+  }
+
+  if (options && options.lazy === 'prototype') {
+    if (plan.own) bindEager(self, plan.own, options);
+    bindPrototype(self, plan.own ? plan.methods.filter((key) => !plan.own.includes(key)) : methods, options);
+  } else if (options && options.lazy) {
+    bindLazy(self, methods, options);
+  } else {
+    bindEager(self, methods, options);
+  }
 
-  while (proto && proto !== Object.prototype) {
-    const keys = Object.getOwnPropertyNames(proto);
-    for (const key of keys) {
-      if (key === 'constructor') continue;
-      const descriptor = Object.getOwnPropertyDescriptor(proto, key);
-      if (descriptor && typeof descriptor.value === 'function') {
-        methods.add(key);
-      }
-    }
+  return self;
+}
 
-    const symbols = Object.getOwnPropertySymbols(proto);
-    for (const sym of symbols) {
-      const descriptor = Object.getOwnPropertyDescriptor(proto, sym);
-      if (descriptor && typeof descriptor.value === 'function') {
-        methods.add(sym);
-      }
+function unbind(self, options) {
+  options = normalizeOptions(arguments);
+  assertTarget(self, 'autoBind.unbind');
+  options = applyPresets(self, options);
+  restorePrototype(self, options);
+
+  const record = installed.get(self);
+  if (!record) return self;
+
+  const saved = replaced.get(self);
+  const methods = new Map();
+  for (const key of record.keys()) {
+    methods.set(key, saved && saved.has(key) ? self : findOwner(self, key));
+  }
+
+  for (const key of filterMethods(methods, options)) {
+    const descriptor = Object.getOwnPropertyDescriptor(self, key);
+    const value = record.get(key);
+    if (descriptor && (descriptor.value === value || descriptor.get === value)) {
+      if (timedFunctions.has(value)) value.cancel();
+      if (saved && saved.has(key)) Object.defineProperty(self, key, saved.get(key));
+      else delete self[key];
     }
+    record.delete(key);
+    if (saved) saved.delete(key);
+  }
 
-    proto = Object.getPrototypeOf(proto);
+  return self;
+}
+
+function proxy(self, options) {
+  options = normalizeOptions(arguments);
+  return autoBind(self, { ...options, mode: 'proxy' });
+}
+
+// Extraction
+const namespaces = new WeakMap();
+
+const extractedMethods = new WeakMap();
+
+function extractMethod(self, key, options) {
+  let byKey = extractedMethods.get(self);
+  if (!byKey) {
+    byKey = new Map();
+    extractedMethods.set(self, byKey);
   }
 
-  return methods;
+  const fn = getMethod(findOwner(self, key), key);
+  const entries = (byKey.get(key) || []).filter((entry) => boundFunctions.get(entry.value).original === fn);
+  const entry = entries.find((candidate) => matchesHooks(candidate.hooks, options));
+  if (entry) return entry.value;
+
+  const value = createBound(fn, self, key, options);
+  entries.push({ hooks: snapshotHooks(options), value });
+  if (entries.length > MAX_PLANS_PER_PROTOTYPE) entries.shift();
+  byKey.set(key, entries);
+  return value;
+}
+
+function extract(self, options) {
+  options = normalizeOptions(arguments);
+  assertTarget(self, 'autoBind.extract');
+  options = applyPresets(self, options);
+  assertHooks(options, 'autoBind.extract');
+
+  const { methods, unknown } = resolvePlan(self, options);
+  reportUnknownNames(self, unknown, options);
+
+  const cached = findCached(namespaces, self, methods, options);
+  if (cached) return cached;
+
+  const reuse = !hasHooks(options);
+  const namespace = {};
+  for (const key of methods) {
+    const own = reuse && Object.getOwnPropertyDescriptor(self, key);
+    namespace[key] = own && isBoundTo(own.value, self)
+      ? own.value
+      : extractMethod(self, key, options);
+  }
+
+  return addCached(namespaces, self, methods, options, Object.freeze(namespace));
+}
+
+// Weak binding
+const COLLECTED_ACTIONS = ['ignore', 'throw'];
+
+function assertWeakOptions(options, api) {
+  if (typeof WeakRef === 'undefined' || typeof FinalizationRegistry === 'undefined') {
+    throw new AutoBindError('INVALID_OPTION', `${api}: weak requires WeakRef and FinalizationRegistry`);
+  }
+  if (options.onCollected !== undefined && !COLLECTED_ACTIONS.includes(options.onCollected)) {
+    throw new AutoBindError(
+      'INVALID_OPTION',
+      `${api}: onCollected must be 'ignore' or 'throw', got ${describeValue(options.onCollected)}`
+    );
+  }
+  if (options.onLeak !== undefined && typeof options.onLeak !== 'function') {
+    throw new AutoBindError(
+      'INVALID_OPTION',
+      `${api}: onLeak must be a function, got ${describeValue(options.onLeak)}`
+    );
+  }
+}
+
+function refTo(self, weak) {
+  return weak ? new WeakRef(self) : { deref: () => self };
+}
+
+function bindWeak(fn, self, key, onCollected) {
+  const ref = new WeakRef(self);
+  const message = `autoBind: \`${describeClass(self)}#${String(key)}\` was called after its ` +
+    'instance was garbage collected';
+
+  function weakBound(...args) {
+    const target = ref.deref();
+    if (target !== undefined) return fn.apply(target, args);
+    if (onCollected === 'throw') throw new AutoBindError('COLLECTED', message, { key });
+    return undefined;
+  }
+
+  Object.defineProperty(weakBound, 'name', { value: `bound ${fn.name}` });
+  boundFunctions.set(weakBound, {
+    get target() {
+      return ref.deref();
+    },
+    original: fn,
+  });
+  return weakBound;
+}
+
+const weakBindings = new WeakMap();
+
+let leakRegistry = null;
+
+function reportLeaks({ className, methods, onLeak }) {
+  const keys = [...methods].filter(([, ref]) => ref.deref() !== undefined).map(([key]) => key);
+  if (!keys.length) return;
+
+  const message = `autoBind: a ${className} instance was garbage collected while ${keys.map(String).join(', ')} ` +
+    'were still referenced; remove the listeners when it is disposed';
+  if (onLeak) onLeak({ className, keys, message });
+  else if (isDevelopment()) console.warn(message);
+}
+
+function trackWeak(self, key, boundFn, onLeak) {
+  let record = weakBindings.get(self);
+  if (!record) {
+    record = { className: describeClass(self), methods: new Map(), onLeak };
+    weakBindings.set(self, record);
+    if (!leakRegistry) leakRegistry = new FinalizationRegistry(reportLeaks);
+    leakRegistry.register(self, record);
+  }
+  record.methods.set(key, new WeakRef(boundFn));
+}
+
+// Call statistics
+const callStats = new WeakMap();
+
+function getMethodStats(self, key) {
+  let record = callStats.get(self);
+  if (!record) {
+    record = new Map();
+    callStats.set(self, record);
+  }
+  let entry = record.get(key);
+  if (!entry) {
+    entry = { calls: 0, errors: 0, totalDuration: 0, maxDuration: 0 };
+    record.set(key, entry);
+  }
+  return entry;
 }
 
-function filterMethods(methods, options = {}) {
-  let filtered = [...methods];
+function instrument(fn, key, self) {
+  const entry = getMethodStats(self, key);
+
+  return (...args) => {
+    const start = performance.now();
+    entry.calls++;
 
-  filtered = filtered.filter((m) => typeof m === 'symbol' || !BUILTIN_OBJECT_METHODS.has(m));
+    const settle = (failed) => {
+      const duration = performance.now() - start;
+      if (failed) entry.errors++;
+      entry.totalDuration += duration;
+      if (duration > entry.maxDuration) entry.maxDuration = duration;
+    };
 
-  if (options.include) {
-    const includeSet = new Set(options.include);
-    filtered = filtered.filter((m) => includeSet.has(m));
+    let result;
+    try {
+      result = fn(...args);
+    } catch (error) {
+      settle(true);
+      throw error;
+    }
+    if (!isThenable(result)) {
+      settle(false);
+      return result;
+    }
+    return result.then(
+      (value) => {
+        settle(false);
+        return value;
+      },
+      (error) => {
+        settle(true);
+        throw error;
+      }
+    );
+  };
+}
+
+function stats(self) {
+  const snapshot = {};
+  const record = callStats.get(unwrapProxy(self));
+  if (record) {
+    for (const [key, entry] of record) snapshot[key] = { ...entry };
   }
+  return snapshot;
+}
 
-  if (options.exclude) {
-    const excludeSet = new Set(options.exclude);
-    filtered = filtered.filter((m) => !excludeSet.has(m));
+function resetStats(self) {
+  const record = callStats.get(unwrapProxy(self));
+  if (record) {
+    for (const entry of record.values()) {
+      entry.calls = 0;
+      entry.errors = 0;
+      entry.totalDuration = 0;
+      entry.maxDuration = 0;
+    }
   }
+  return self;
+}
 
-  if (options.pattern) {
-    filtered = filtered.filter(
-      (m) => typeof m === 'string' && options.pattern.test(m)
+// Debounce and throttle
+const TIMING_OPTIONS = ['debounce', 'throttle'];
+
+const timedFunctions = new WeakSet();
+
+function normalizeTiming(spec, label = 'autoBind') {
+  const timing = typeof spec === 'number' ? { wait: spec } : { ...spec };
+  if (typeof timing.wait !== 'number' || !(timing.wait >= 0)) {
+    throw new AutoBindError(
+      'INVALID_OPTION',
+      `${label}: expected a delay in milliseconds, got ${describeValue(timing.wait)}`
     );
   }
+  return timing;
+}
 
-  return filtered;
+function withControls(timed, state, invoke) {
+  timed.cancel = () => {
+    clearTimeout(state.timer);
+    state.timer = null;
+    state.pendingArgs = null;
+  };
+  timed.flush = () => {
+    clearTimeout(state.timer);
+    state.timer = null;
+    if (state.pendingArgs) invoke();
+    return state.result;
+  };
+  timedFunctions.add(timed);
+  return timed;
 }
 
-function bindEager(self, methods) {
-  for (const method of methods) {
-    const val = self[method];
-    if (typeof val === 'function') {
-      Object.defineProperty(self, method, {
-        value: val.bind(self),
-        writable: true,
-        configurable: true,
-        enumerable: false,
-      });
+function debounce(fn, { wait, leading = false, trailing = true }) {
+  const state = { timer: null, pendingArgs: null, result: undefined };
+
+  const invoke = () => {
+    const args = state.pendingArgs;
+    state.pendingArgs = null;
+    state.result = fn(...args);
+  };
+
+  const expire = () => {
+    state.timer = null;
+    if (trailing && state.pendingArgs) invoke();
+    state.pendingArgs = null;
+  };
+
+  const debounced = (...args) => {
+    const idle = state.timer === null;
+    clearTimeout(state.timer);
+    state.timer = setTimeout(expire, wait);
+
+    if (leading && idle) state.result = fn(...args);
+    else state.pendingArgs = args;
+    return state.result;
+  };
+
+  return withControls(debounced, state, invoke);
+}
+
+function throttle(fn, { wait, leading = true, trailing = true }) {
+  const state = { timer: null, pendingArgs: null, result: undefined };
+
+  const invoke = () => {
+    const args = state.pendingArgs;
+    state.pendingArgs = null;
+    state.result = fn(...args);
+  };
+
+  const expire = () => {
+    if (trailing && state.pendingArgs) {
+      invoke();
+      state.timer = setTimeout(expire, wait);
+    } else {
+      state.timer = null;
+      state.pendingArgs = null;
     }
+  };
+
+  const throttled = (...args) => {
+    if (state.timer === null) {
+      if (leading) state.result = fn(...args);
+      else state.pendingArgs = args;
+      state.timer = setTimeout(expire, wait);
+    } else {
+      state.pendingArgs = args;
+    }
+    return state.result;
+  };
+
+  return withControls(throttled, state, invoke);
+}
+
+// Inspection
+function findInstanceConflict(self, key) {
+  const descriptor = Object.getOwnPropertyDescriptor(self, key);
+  const record = installed.get(self);
+  const value = record && record.get(key);
+  if (descriptor && value && (value === descriptor.value || value === descriptor.get)) {
+    return SKIP_REASONS.ALREADY_BOUND;
   }
+
+  const conflict = findConflict(self, key);
+  return conflict ? CONFLICT_REASONS[conflict.code] : null;
 }
 
-function findDescriptorInChain(obj, key) {
-  let proto = Object.getPrototypeOf(obj);
+function ownerName(owner) {
+  const ctor = owner && Object.prototype.hasOwnProperty.call(owner, 'constructor') && owner.constructor;
+  return (ctor && ctor.name) || '(anonymous)';
+}
+
+function formatReport(report) {
+  const lines = [`${report.className}: ${report.bound.length} bound, ${report.skipped.length} skipped`];
+  for (const method of report.methods) {
+    const mark = method.bound ? '✓' : '✗';
+    const reason = method.reason ? ` — ${method.reason}` : '';
+    lines.push(`  ${mark} ${method.name} (${method.ownerName})${reason}`);
+  }
+  return lines.join('\n');
+}
+
+function inspect(self, options) {
+  options = normalizeOptions(arguments);
+  assertTarget(self, 'autoBind.inspect');
+  options = applyPresets(self, options);
+
+  const stopAt = options && options.stopAt;
+  const ownMethods = options && options.own ? getOwnMethodNames(self) : new Map();
+  const withOwn = (methods) => new Map([...ownMethods, ...methods].filter(
+    ([key, owner]) => owner === self || !ownMethods.has(key)
+  ));
+  const allMethods = withOwn(getAllMethodNames(self));
+  const reachable = stopAt === undefined || stopAt === null
+    ? allMethods
+    : withOwn(getAllMethodNames(self, stopAt));
+  const reasons = new Map(
+    classifyMethods(reachable, options).map((entry) => [entry.key, entry.reason])
+  );
+
+  const methods = [...allMethods].map(([key, owner]) => {
+    let reason = reasons.has(key) ? reasons.get(key) : SKIP_REASONS.STOP_AT;
+    if (reason === null) reason = findInstanceConflict(self, key);
+    return {
+      key,
+      name: String(key),
+      owner,
+      ownerName: owner === self ? '(own)' : ownerName(owner),
+      bound: reason === null,
+      reason,
+    };
+  });
+
+  const report = {
+    className: describeClass(self),
+    methods,
+    bound: methods.filter((m) => m.bound).map((m) => m.key),
+    skipped: methods.filter((m) => !m.bound).map((m) => m.key),
+  };
+
+  Object.defineProperties(report, {
+    toString: {
+      value: () => formatReport(report),
+    },
+    toTable: {
+      value: () => methods.map((m) => ({
+        method: m.name,
+        definedBy: m.ownerName,
+        bound: m.bound,
+        reason: m.reason || '',
+      })),
+    },
+  });
+
+  return report;
+}
+
+autoBind.unbind = unbind;
+autoBind.inspect = inspect;
+autoBind.clearCache = clearCache;
+autoBind.configure = configure;
+autoBind.definePreset = definePreset;
+autoBind.isBound = isBound;
+autoBind.proxy = proxy;
+autoBind.original = original;
+autoBind.bindingState = bindingState;
+autoBind.stats = stats;
+autoBind.resetStats = resetStats;
+autoBind.guard = guard;
+autoBind.extract = extract;
+
+// Detached this guard
+const guardedMethods = new WeakMap();
+
+const DETACHED_ACTIONS = ['throw', 'warn'];
+
+function guardMethod(proto, owner, key, lookup, onDetached) {
+  const message = `autoBind: \`${ownerName(owner)}#${String(key)}\` was called detached; ` +
+    'bind it or include it in autoBind';
+
+  function guarded(...args) {
+    if (!isObjectLike(this) || !Object.prototype.isPrototypeOf.call(proto, this)) {
+      if (onDetached !== 'warn') throw new AutoBindError('DETACHED_THIS', message, { key });
+      if (!warnedMessages.has(message)) {
+        warnedMessages.add(message);
+        console.warn(message);
+      }
+    }
+    return lookup().apply(this, args);
+  }
+
+  Object.defineProperty(guarded, 'name', { value: lookup().name });
+  guardedMethods.set(guarded, lookup);
+  return guarded;
+}
+
+function guardablePrototypes(Class) {
+  const protos = new Set([Class.prototype]);
+  let proto = Object.getPrototypeOf(Class.prototype);
   while (proto && proto !== Object.prototype) {
-    const desc = Object.getOwnPropertyDescriptor(proto, key);
-    if (desc) return desc;
+    const ctor = Object.prototype.hasOwnProperty.call(proto, 'constructor') && proto.constructor;
+    if (typeof ctor !== 'function' || !isClass(ctor)) break;
+    protos.add(proto);
     proto = Object.getPrototypeOf(proto);
   }
-  return undefined;
+  return protos;
 }
 
-function bindLazy(self, methods) {
-  for (const method of methods) {
-    const proto = Object.getPrototypeOf(self);
-    const descriptor = Object.getOwnPropertyDescriptor(proto, method) ||
-      findDescriptorInChain(self, method);
+function guard(Class, options) {
+  options = normalizeOptions(arguments);
+  if (!isDevelopment()) return Class;
 
-    if (!descriptor || typeof descriptor.value !== 'function') continue;
+  if (typeof Class !== 'function' || !isObjectLike(Class.prototype)) {
+    throw new AutoBindError(
+      'INVALID_TARGET',
+      `autoBind.guard: expected a class, got ${describeValue(Class)}`,
+      { target: Class }
+    );
+  }
+  const onDetached = options && options.onDetached;
+  if (onDetached !== undefined && !DETACHED_ACTIONS.includes(onDetached)) {
+    throw new AutoBindError(
+      'INVALID_OPTION',
+      `autoBind.guard: onDetached must be 'throw' or 'warn', got ${describeValue(onDetached)}`
+    );
+  }
 
-    const originalFn = descriptor.value;
+  const report = inspect(Object.create(Class.prototype), options);
+  const proto = Class.prototype;
+  const guardable = guardablePrototypes(Class);
+  for (const { key, owner, reason } of report.methods) {
+    if (reason === null || reason === SKIP_REASONS.BUILTIN || reason === SKIP_REASONS.STOP_AT) continue;
+    if (!guardable.has(owner)) continue;
 
-    Object.defineProperty(self, method, {
-      configurable: true,
-      enumerable: false,
-      get() {
-        const boundFn = originalFn.bind(self);
-        Object.defineProperty(self, method, {
-          value: boundFn,
-          writable: true,
-          configurable: true,
-          enumerable: false,
-        });
-        return boundFn;
-      },
-    });
+    const descriptor = Object.getOwnPropertyDescriptor(owner, key);
+    if (typeof descriptor.value !== 'function' || guardedMethods.has(descriptor.value)) continue;
+
+    if (owner === proto) {
+      if (!descriptor.configurable && !descriptor.writable) continue;
+      Object.defineProperty(proto, key, {
+        ...descriptor,
+        value: guardMethod(proto, owner, key, () => descriptor.value, onDetached),
+      });
+    } else if (Object.isExtensible(proto)) {
+      Object.defineProperty(proto, key, {
+        value: guardMethod(proto, owner, key, () => getMethod(findOwner(proto, key), key), onDetached),
+        writable: true,
+        configurable: true,
+        enumerable: false,
+      });
+    }
   }
+
+  return Class;
 }
 
-function autoBind(self, options) {
-  if (typeof options === 'string') {
-    const methodNames = [options, ...Array.from(arguments).slice(2)];
-    options = { include: methodNames };
-  }
+// Plain objects
+function autoBindObject(self, options) {
+  options = normalizeOptions(arguments);
+  return autoBind(self, { ...options, own: true });
+}
 
-  const allMethods = getAllMethodNames(self);
-  const methods = filterMethods(allMethods, options);
+// Static methods
+function isClass(fn) {
+  return /^class[\s{]/.test(Function.prototype.toString.call(fn));
+}
 
-  if (options && options.lazy) {
-    bindLazy(self, methods);
-  } else {
-    bindEager(self, methods);
+function isNotClass(name, fn) {
+  return !isClass(fn);
+}
+
+function staticDepth(Class, stopAt) {
+  let depth = 0;
+  let proto = Object.getPrototypeOf(Class);
+  while (proto && proto !== Function.prototype && proto !== stopAt) {
+    depth++;
+    proto = Object.getPrototypeOf(proto);
   }
+  return depth;
+}
 
-  return self;
+function autoBindStatic(Class, options) {
+  options = normalizeOptions(arguments);
+  if (typeof Class !== 'function') {
+    throw new AutoBindError(
+      'INVALID_TARGET',
+      `autoBindStatic: expected a class, got ${describeValue(Class)}`,
+      { target: Class }
+    );
+  }
+
+  options = applyPresets(Class, options) || {};
+  const stopAt = typeof options.stopAt === 'number' ? options.stopAt : staticDepth(Class, options.stopAt);
+
+  return autoBind(Class, {
+    ...options,
+    own: true,
+    stopAt,
+    lazy: options.lazy === 'prototype' ? true : options.lazy,
+    filter: [isNotClass, ...toList(options.filter)],
+  });
 }
 
 // React
@@ -147,9 +1517,8 @@ const REACT_LIFECYCLE_METHODS = new Set([
   'componentWillUnmount',
   'shouldComponentUpdate',
   'getSnapshotBeforeUpdate',
-  'getDerivedStateFromProps',
-  'getDerivedStateFromError',
   'componentDidCatch',
+  'getChildContext',
   'UNSAFE_componentWillMount',
   'UNSAFE_componentWillReceiveProps',
   'UNSAFE_componentWillUpdate',
@@ -160,21 +1529,163 @@ const REACT_LIFECYCLE_METHODS = new Set([
   'componentWillUpdate',
 ]);
 
+const REACT_STATIC_LIFECYCLE_METHODS = new Set([
+  'getDerivedStateFromProps',
+  'getDerivedStateFromError',
+]);
+
+const REACT_COMPONENT_METHODS = new Set([
+  'setState',
+  'forceUpdate',
+  'isMounted',
+  'replaceState',
+]);
+
+function findReactBase(self) {
+  if (typeof self === 'function') {
+    let ctor = Object.getPrototypeOf(self);
+    while (ctor && ctor !== Function.prototype) {
+      if (ctor.prototype && Object.prototype.hasOwnProperty.call(ctor.prototype, 'isReactComponent')) return ctor;
+      ctor = Object.getPrototypeOf(ctor);
+    }
+    return undefined;
+  }
+
+  let proto = Object.getPrototypeOf(self);
+  while (proto && proto !== Object.prototype) {
+    if (Object.prototype.hasOwnProperty.call(proto, 'isReactComponent')) return proto;
+    proto = Object.getPrototypeOf(proto);
+  }
+  return undefined;
+}
+
+definePreset('react', {
+  exclude: [...REACT_LIFECYCLE_METHODS, ...REACT_STATIC_LIFECYCLE_METHODS, ...REACT_COMPONENT_METHODS],
+  resolve: (self) => ({ stopAt: findReactBase(self) }),
+});
+
 function autoBindReact(self, options = {}) {
-  const exclude = [
-    ...(options.exclude || []),
-    ...REACT_LIFECYCLE_METHODS,
-  ];
-  return autoBind(self, { ...options, exclude });
+  return autoBind(self, { ...options, preset: ['react', ...toList(options.preset)] });
+}
+
+// Custom Elements
+const ELEMENT_LIFECYCLE_METHODS = new Set([
+  'connectedCallback',
+  'disconnectedCallback',
+  'adoptedCallback',
+  'attributeChangedCallback',
+  'connectedMoveCallback',
+  'formAssociatedCallback',
+  'formDisabledCallback',
+  'formResetCallback',
+  'formStateRestoreCallback',
+  'render',
+  'update',
+  'updated',
+  'firstUpdated',
+  'shouldUpdate',
+  'willUpdate',
+  'createRenderRoot',
+  'scheduleUpdate',
+  'performUpdate',
+  'getUpdateComplete',
+]);
+
+const ELEMENT_BASE_CLASSES = new Set([
+  'EventTarget',
+  'Node',
+  'Element',
+  'HTMLElement',
+  'SVGElement',
+  'ReactiveElement',
+  'LitElement',
+  'UpdatingElement',
+  'PolymerElement',
+  'FASTElement',
+]);
+
+function isNativeClass(ctor) {
+  return typeof ctor === 'function' &&
+    /\{\s*\[native code\]\s*\}\s*$/.test(Function.prototype.toString.call(ctor));
+}
+
+function findElementBase(self) {
+  let proto = Object.getPrototypeOf(self);
+  while (proto && proto !== Object.prototype) {
+    const ctor = Object.prototype.hasOwnProperty.call(proto, 'constructor') && proto.constructor;
+    if (ctor && (ELEMENT_BASE_CLASSES.has(ctor.name) || isNativeClass(ctor))) return proto;
+    proto = Object.getPrototypeOf(proto);
+  }
+  return undefined;
+}
+
+definePreset('element', {
+  exclude: [...ELEMENT_LIFECYCLE_METHODS],
+  resolve: (self) => ({ stopAt: findElementBase(self) }),
+});
+
+function autoBindElement(self, options = {}) {
+  return autoBind(self, { ...options, preset: ['element', ...toList(options.preset)] });
+}
+
+// EventEmitter preset
+const EVENT_EMITTER_METHODS = [
+  'on',
+  'once',
+  'off',
+  'emit',
+  'addListener',
+  'removeListener',
+  'removeAllListeners',
+  'prependListener',
+  'prependOnceListener',
+  'listeners',
+  'rawListeners',
+  'listenerCount',
+  'eventNames',
+  'setMaxListeners',
+  'getMaxListeners',
+];
+
+function findEventEmitterBase(self) {
+  let proto = Object.getPrototypeOf(self);
+  while (proto && proto !== Object.prototype) {
+    const ctor = Object.prototype.hasOwnProperty.call(proto, 'constructor') && proto.constructor;
+    if (ctor && ctor.name === 'EventEmitter') return proto;
+    proto = Object.getPrototypeOf(proto);
+  }
+  return undefined;
 }
 
+definePreset('eventemitter', {
+  exclude: EVENT_EMITTER_METHODS,
+  resolve: (self) => ({ stopAt: findEventEmitterBase(self) }),
+});
+
 // Decorators
-function boundClass(target) {
+function isDecoratorContext(context) {
+  return context !== null && typeof context === 'object' && typeof context.kind === 'string';
+}
+
+function boundClass(target, context) {
+  if (typeof target !== 'function') {
+    const options = target || {};
+    return (value, ctx) => decorateClass(value, ctx, options);
+  }
+  return decorateClass(target, context, {});
+}
+
+function decorateClass(target, context, options) {
+  if (isDecoratorContext(context) && context.kind !== 'class') {
+    throw new AutoBindError('INVALID_DECORATOR', '@boundClass can only be applied to classes');
+  }
+
+  const { statics, ...bindOptions } = options;
   const original = target;
 
   const wrapped = function (...args) {
     const instance = new original(...args);
-    autoBind(instance);
+    autoBind(instance, bindOptions);
     return instance;
   };
 
@@ -188,33 +1699,83 @@ function boundClass(target) {
     if (desc) Object.defineProperty(wrapped, key, desc);
   }
 
+  if (statics) autoBindStatic(wrapped);
+
   return wrapped;
 }
 
+const decoratorGetters = new WeakSet();
+
 function bound(target, key, descriptor) {
+  if (key === undefined) {
+    const options = target || {};
+    assertHooks(options, '@bound');
+    return (value, ctx, desc) => decorateMethod(value, ctx, desc, options);
+  }
+  return decorateMethod(target, key, descriptor, {});
+}
+
+function decorateMethod(target, key, descriptor, options, api = '@bound') {
+  if (isDecoratorContext(key)) {
+    return boundStandard(target, key, options, api);
+  }
+
   if (!descriptor || typeof descriptor.value !== 'function') {
-    throw new TypeError('@bound can only be applied to methods');
+    throw new AutoBindError('INVALID_DECORATOR', `${api} can only be applied to methods`);
   }
 
   const fn = descriptor.value;
 
+  const get = function () {
+    if (this === target) {
+      return fn;
+    }
+
+    const boundFn = createBound(fn, this, key, options);
+    defineBound(this, key, boundFn);
+    return boundFn;
+  };
+  decoratorGetters.add(get);
+
   return {
     configurable: true,
     enumerable: false,
-    get() {
-      if (this === target) {
-        return fn;
-      }
+    get,
+  };
+}
 
-      const boundFn = fn.bind(this);
-      Object.defineProperty(this, key, {
-        value: boundFn,
-        writable: true,
-        configurable: true,
-        enumerable: false,
-      });
-      return boundFn;
-    },
+function boundStandard(fn, context, options, api) {
+  if (context.kind !== 'method' || typeof fn !== 'function') {
+    throw new AutoBindError('INVALID_DECORATOR', `${api} can only be applied to methods`);
+  }
+  if (context.private) {
+    throw new AutoBindError('INVALID_DECORATOR', `${api} cannot be applied to private methods`);
+  }
+
+  const key = context.name;
+
+  context.addInitializer(function () {
+    if (this[key] !== fn) return;
+
+    defineBound(this, key, createBound(fn, this, key, options));
+  });
+}
+
+function debounced(wait, options) {
+  return timingDecorator('debounce', wait, options);
+}
+
+function throttled(wait, options) {
+  return timingDecorator('throttle', wait, options);
+}
+
+function timingDecorator(kind, wait, options) {
+  const api = kind === 'debounce' ? '@debounced' : '@throttled';
+  const timing = normalizeTiming({ ...options, wait }, api);
+
+  return (value, ctx, desc) => {
+    const key = isDecoratorContext(ctx) ? ctx.name : ctx;
+    return decorateMethod(value, ctx, desc, { [kind]: { [key]: timing } }, api);
   };
 }
 
@@ -222,5 +1783,25 @@ module.exports = autoBind;
 module.exports.default = autoBind;
 module.exports.autoBind = autoBind;
 module.exports.autoBindReact = autoBindReact;
+module.exports.autoBindElement = autoBindElement;
+module.exports.autoBindObject = autoBindObject;
+module.exports.autoBindStatic = autoBindStatic;
+module.exports.definePreset = definePreset;
 module.exports.boundClass = boundClass;
 module.exports.bound = bound;
+module.exports.debounced = debounced;
+module.exports.throttled = throttled;
+module.exports.unbind = unbind;
+module.exports.proxy = proxy;
+module.exports.extract = extract;
+module.exports.clearCache = clearCache;
+module.exports.configure = configure;
+module.exports.inspect = inspect;
+module.exports.isBound = isBound;
+module.exports.bindingState = bindingState;
+module.exports.original = original;
+module.exports.stats = stats;
+module.exports.resetStats = resetStats;
+module.exports.guard = guard;
+module.exports.AutoBindError = AutoBindError;
+module.exports.SKIP_REASONS = SKIP_REASONS;
@@ -1,12 +1,286 @@
-export interface AutoBindOptions {
-  /** Only bind these methods */
-  include?: (string | symbol)[];
-  /** Don't bind these methods */
-  exclude?: (string | symbol)[];
-  /** Only bind methods matching this regex */
-  pattern?: RegExp;
-  /** Use lazy binding (bind on first access via getter) */
-  lazy?: boolean;
+/** String and Symbol keys of `T` whose values are functions (any name for `any`) */
+export type MethodKeys<T> = 0 extends 1 & T
+  ? string | symbol
+  : Extract<
+      { [K in keyof T]-?: NonNullable<T[K]> extends (...args: any[]) => any ? K : never }[keyof T],
+      string | symbol
+    >;
+
+/** A method name glob: a string containing `*` or `?` */
+export type GlobPattern = `${string}*${string}` | `${string}?${string}`;
+
+/**
+ * Matches method names:
+ *
+ * - a plain string matches that exact name
+ * - a string containing `*` (any run of characters) or `?` (exactly one
+ *   character) is a glob, e.g. `'handle*'` or `'on?*'`
+ * - a RegExp is tested against the name
+ * - a Symbol matches that exact Symbol
+ *
+ * String, glob and RegExp matchers also match Symbol-keyed methods by the
+ * Symbol's description (`Symbol('handleKey')` matches `'handle*'`).
+ *
+ * `K` narrows plain strings and Symbols to known names, e.g.
+ * `MethodMatcher<MethodKeys<MyClass>>`.
+ */
+export type MethodMatcher<K extends string | symbol = string | symbol> = K | GlobPattern | RegExp;
+
+/**
+ * Decides whether a method is bound.
+ *
+ * @param name - The method name or Symbol
+ * @param fn - The method itself
+ * @param owner - The prototype that defines the method
+ */
+export type MethodFilter = (name: string | symbol, fn: Function, owner: object) => boolean;
+
+/**
+ * Wraps a bound method. Receives the function already bound to `self`, so
+ * whatever it returns stays bound. Returning nothing keeps `fn` unchanged.
+ *
+ * @param fn - The bound method (or the result of the previous hook)
+ * @param name - The method name or Symbol
+ * @param self - The instance the method is bound to
+ */
+export type WrapHook = (
+  fn: (...args: any[]) => any,
+  name: string | symbol,
+  self: any
+) => ((...args: any[]) => any) | void;
+
+/** Passed to `onError` along with the error */
+export interface BoundErrorContext {
+  /** The method name or Symbol */
+  name: string | symbol;
+  /** The instance the method is bound to */
+  self: any;
+  /** The arguments of the failed call */
+  args: any[];
+}
+
+/**
+ * Handles an error thrown (or a rejection) by a bound method. Unless
+ * `rethrow` is set, the return value becomes the method's result.
+ */
+export type ErrorHandler = (error: unknown, context: BoundErrorContext) => any;
+
+/** Passed to `onLeak` when an instance bound with `weak: true` is collected */
+export interface LeakReport {
+  /** Name of the instance's class */
+  className: string;
+  /** Bound methods that were still referenced, e.g. by listeners nobody removed */
+  keys: (string | symbol)[];
+  /** Ready-made warning text */
+  message: string;
+}
+
+/** Edge control for debounced and throttled methods */
+export interface TimingEdges {
+  /** Call on the leading edge (default `false` for debounce, `true` for throttle) */
+  leading?: boolean;
+  /** Call on the trailing edge (default `true`) */
+  trailing?: boolean;
+}
+
+/** A delay in milliseconds, or the delay with edge control */
+export type TimingSpec = number | (TimingEdges & { wait: number });
+
+/** Extra methods of debounced and throttled bound functions */
+export interface Cancelable {
+  /** Drop the pending trailing call */
+  cancel(): void;
+  /** Run the pending trailing call now and return the latest result */
+  flush(): any;
+}
+
+/**
+ * Options of autoBind and its variants. Given the instance type `T`, plain
+ * names in `include`, `exclude`, `pattern`, `debounce` and `throttle` must
+ * be methods of `T` (see `MethodKeys`).
+ */
+export interface AutoBindOptions<T = any> {
+  /** Only bind methods matching any of these */
+  include?: MethodMatcher<MethodKeys<T>>[];
+  /** Don't bind methods matching any of these */
+  exclude?: MethodMatcher<MethodKeys<T>>[];
+  /** Only bind methods matching this matcher (or any of these matchers) */
+  pattern?: MethodMatcher<MethodKeys<T>> | MethodMatcher<MethodKeys<T>>[];
+  /**
+   * Decide per method whether to bind it. Runs after include/exclude/pattern.
+   * With a list, every predicate must return `true`.
+   */
+  filter?: MethodFilter | MethodFilter[];
+  /**
+   * Stop walking the prototype chain before this class (or prototype), so its
+   * methods and those of its ancestors are not bound. A number limits how
+   * many prototypes are walked (`1` binds only the instance's own class).
+   */
+  stopAt?: Function | object | number;
+  /**
+   * Throw when an exact name in `include`/`exclude` (not a glob or RegExp)
+   * matches no method anywhere in the prototype chain. The error suggests
+   * similar method names. Defaults to the global setting (see `configure`);
+   * when off, development builds warn once instead.
+   */
+  strict?: boolean;
+  /**
+   * Use lazy binding (bind on first access via getter).
+   *
+   * - `true` installs a getter on every instance.
+   * - `'prototype'` installs one shared getter per method on the prototype,
+   *   so construction does no per-method work. The getter applies to every
+   *   instance of the class, and accessing the method on the prototype
+   *   itself still returns the original function. Inherited methods are
+   *   looked up on each first access, so patching a base prototype applies.
+   *   `unbind(Class.prototype)` removes the getters.
+   */
+  lazy?: boolean | 'prototype';
+  /**
+   * Also bind function-valued own properties (enumerable or not), such as
+   * methods of object literals, functions assigned in constructors and
+   * `Object.assign` mixins. Bindings made by autoBind are never rebound, and
+   * `unbind` restores the original functions. Ignored in proxy mode.
+   */
+  own?: boolean;
+  /**
+   * What to do when a bound method can't be defined on the instance: a
+   * non-configurable own property has the method's name, the instance is
+   * frozen/sealed/non-extensible, or the name is unsafe (`__proto__`).
+   *
+   * - `'throw'` (default) throws an `AutoBindError`
+   * - `'warn'` logs the error message and skips the method
+   * - `'skip'` silently skips the method
+   */
+  onConflict?: 'throw' | 'warn' | 'skip';
+  /**
+   * How methods are bound.
+   *
+   * - `'define'` (default) defines bound methods as own properties of the instance.
+   * - `'proxy'` leaves the instance untouched and returns a Proxy that hands
+   *   out stable bound methods. Use the return value of autoBind; in a
+   *   constructor, `return autoBind(this, { mode: 'proxy' })`.
+   */
+  mode?: 'define' | 'proxy';
+  /**
+   * Hook(s) applied to every bound method, in order, when it is bound. The
+   * result is installed as the method and cached per instance, and
+   * `original` still returns the prototype function.
+   */
+  wrap?: WrapHook | WrapHook[];
+  /**
+   * Catch errors from bound methods: sync throws and rejections of returned
+   * promises. By default the method returns (or resolves to) whatever
+   * `onError` returns. Runs outside the `wrap` hooks.
+   */
+  onError?: ErrorHandler;
+  /** Rethrow the error (or reject with it) after `onError` has run */
+  rethrow?: boolean;
+  /**
+   * Record calls, errors and durations of every bound method (see `stats`).
+   * Async methods are timed until their promise settles. Off by default,
+   * in which case bound methods are plain bound functions.
+   */
+  instrument?: boolean;
+  /**
+   * Debounce these methods per instance, e.g. `{ onResize: 100 }`. The bound
+   * functions stay stable and have `cancel()`/`flush()` (see `Cancelable`).
+   */
+  debounce?: { [K in MethodKeys<T>]?: TimingSpec };
+  /** Throttle these methods per instance, same form as `debounce` */
+  throttle?: { [K in MethodKeys<T>]?: TimingSpec };
+  /**
+   * Bound methods refer to the instance only through a `WeakRef`, so
+   * handlers left registered on long-lived emitters, stores or `window`
+   * don't keep it alive. Wrap hooks must not hold on to `self` either.
+   */
+  weak?: boolean;
+  /**
+   * What a `weak` bound method does when called after its instance was
+   * garbage collected.
+   *
+   * - `'ignore'` (default) does nothing and returns `undefined`
+   * - `'throw'` throws an `AutoBindError` with code `COLLECTED`
+   */
+  onCollected?: 'ignore' | 'throw';
+  /**
+   * Called when an instance bound with `weak: true` is collected while some
+   * of its bound methods are still referenced elsewhere. Defaults to a
+   * warning in development.
+   */
+  onLeak?: (report: LeakReport) => void;
+  /**
+   * Apply named presets (see `definePreset`) before these options.
+   * Built in: `'react'`, `'element'` and `'eventemitter'`.
+   */
+  preset?: string | string[];
+}
+
+/**
+ * A method name written in a call. Names are inferred per call and checked
+ * against the instance by `BindTarget`, which also works for `this` in a
+ * constructor, where `MethodKeys<this>` can't be resolved yet. Listing
+ * `MethodKeys<T>` lets editors suggest the method names.
+ */
+type NameHint<T> = MethodKeys<T> | GlobPattern | (string & {}) | symbol;
+
+/** The names in `K` that must exist: globs and widened `string`/`symbol` aren't checked */
+type ExactNames<K> = K extends GlobPattern
+  ? never
+  : string extends K
+    ? never
+    : symbol extends K
+      ? never
+      : K;
+
+/** `self`, required to have a method for every exact name in `K` */
+type BindTarget<T, K> = T & { [P in ExactNames<K> & (string | symbol)]: (...args: any[]) => any };
+
+/** Options with `include`, `exclude` and `pattern` names inferred from the call */
+interface NamedOptions<I extends string | symbol, E extends string | symbol, P extends string | symbol>
+  extends Omit<AutoBindOptions, 'include' | 'exclude' | 'pattern'> {
+  include?: MethodMatcher<I>[];
+  exclude?: MethodMatcher<E>[];
+  pattern?: MethodMatcher<P> | MethodMatcher<P>[];
+}
+
+/** Stable codes of `AutoBindError` */
+export type AutoBindErrorCode =
+  | 'INVALID_TARGET'
+  | 'NOT_EXTENSIBLE'
+  | 'NON_CONFIGURABLE'
+  | 'UNSAFE_KEY'
+  | 'UNKNOWN_METHOD'
+  | 'UNKNOWN_PRESET'
+  | 'INVALID_PRESET'
+  | 'INVALID_OPTION'
+  | 'INVALID_DECORATOR'
+  | 'DETACHED_THIS'
+  | 'COLLECTED';
+
+/**
+ * Error thrown by autoBind. Branch on `code`, not on the message.
+ *
+ * @example
+ * ```ts
+ * try {
+ *   autoBind(frozen);
+ * } catch (error) {
+ *   if (error instanceof AutoBindError && error.code === 'NOT_EXTENSIBLE') {
+ *     return autoBind.proxy(frozen);
+ *   }
+ *   throw error;
+ * }
+ * ```
+ */
+export declare class AutoBindError extends TypeError {
+  constructor(code: AutoBindErrorCode, message: string, details?: { key?: string | symbol; target?: unknown });
+  name: 'AutoBindError';
+  code: AutoBindErrorCode;
+  /** The method the error is about, if any */
+  key?: string | symbol;
+  /** The object passed to autoBind, if relevant */
+  target?: unknown;
 }
 
 /**
@@ -14,7 +288,7 @@ export interface AutoBindOptions {
  *
  * @param self - The class instance (usually `this`)
  * @param options - Configuration options
- * @returns The instance (for chaining)
+ * @returns The instance (for chaining), or a Proxy of it with `mode: 'proxy'`
  *
  * @example
  * ```ts
@@ -34,20 +308,447 @@ export interface AutoBindOptions {
  * autoBind(this, 'method1', 'method2');
  * ```
  */
-declare function autoBind<T extends object>(self: T, options?: AutoBindOptions): T;
-declare function autoBind<T extends object>(self: T, ...methods: string[]): T;
+declare function autoBind<
+  T extends object,
+  const I extends NameHint<T> = never,
+  const E extends NameHint<T> = never,
+  const P extends NameHint<T> = never,
+>(self: BindTarget<T, I | E | P>, options?: NamedOptions<I, E, P>): T;
+declare function autoBind<T extends object, const K extends Extract<NameHint<T>, string>>(
+  self: BindTarget<T, K>,
+  ...methods: K[]
+): T;
+declare function autoBind<T extends object>(self: T, options?: AutoBindOptions<T>): T;
+
+/**
+ * Remove the bindings autoBind installed on an instance. Own properties
+ * assigned after binding are left untouched. Given a class prototype, puts
+ * back the methods that `lazy: 'prototype'` replaced with shared getters.
+ *
+ * @param self - The instance passed to autoBind, or a prototype
+ * @param options - Same filters as autoBind
+ * @returns The instance (for chaining)
+ *
+ * @example
+ * ```ts
+ * autoBind(this);
+ * // ...
+ * unbind(this); // back to the prototype methods
+ * ```
+ */
+export declare function unbind<
+  T extends object,
+  const I extends NameHint<T> = never,
+  const E extends NameHint<T> = never,
+  const P extends NameHint<T> = never,
+>(self: BindTarget<T, I | E | P>, options?: NamedOptions<I, E, P>): T;
+export declare function unbind<T extends object, const K extends Extract<NameHint<T>, string>>(
+  self: BindTarget<T, K>,
+  ...methods: K[]
+): T;
+export declare function unbind<T extends object>(self: T, options?: AutoBindOptions<T>): T;
+
+/**
+ * Whether `fn` was bound by autoBind (or the `bound` decorator), and to
+ * `target` when one is given.
+ */
+export declare function isBound(fn: Function, target?: object): boolean;
+
+/**
+ * How `key` is bound on `self`: `'bound'` when the instance holds a bound
+ * function, `'lazy'` when a getter installed by autoBind or `@bound` will
+ * bind it on first access, `null` otherwise. Never triggers lazy binding.
+ */
+export declare function bindingState(self: object, key: string | symbol): 'bound' | 'lazy' | null;
+
+/**
+ * Get the unbound prototype function behind a function bound by autoBind.
+ * Returns `fn` itself when it wasn't bound by autoBind.
+ *
+ * @example
+ * ```ts
+ * autoBind(this);
+ * original(this.handleClick) === MyClass.prototype.handleClick; // true
+ * ```
+ */
+export declare function original<F extends Function>(fn: F): F;
+
+/** Call statistics of one instrumented method. Durations are in milliseconds. */
+export interface MethodStats {
+  calls: number;
+  /** Sync throws and async rejections */
+  errors: number;
+  totalDuration: number;
+  maxDuration: number;
+}
+
+/**
+ * Snapshot of the call statistics of an instance bound with
+ * `instrument: true`, keyed by method name. Methods that were bound but
+ * never called have `calls: 0`; lazily bound methods appear once accessed.
+ *
+ * @example
+ * ```ts
+ * autoBind(this, { instrument: true });
+ * autoBind.stats(controller).handleSave.calls;
+ * ```
+ */
+export declare function stats(self: object): Record<string | symbol, MethodStats>;
+
+/** Reset the call statistics of an instance to zero. Returns the instance. */
+export declare function resetStats<T extends object>(self: T): T;
+
+/**
+ * Get a Proxy of `self` that hands out stable bound methods without
+ * mutating `self`, so it works with frozen, sealed and non-extensible
+ * objects. Methods are bound to the instance, not the Proxy, so `#private`
+ * fields work. Own properties, writes, `in` and `instanceof` pass through
+ * to the instance. The same instance and options always give the same Proxy.
+ *
+ * @example
+ * ```ts
+ * class Money {
+ *   constructor(readonly amount: number) {
+ *     Object.freeze(this);
+ *     return autoBind.proxy(this);
+ *   }
+ *   format() { return `$${this.amount}`; }
+ * }
+ * ```
+ */
+export declare function proxy<
+  T extends object,
+  const I extends NameHint<T> = never,
+  const E extends NameHint<T> = never,
+  const P extends NameHint<T> = never,
+>(self: BindTarget<T, I | E | P>, options?: NamedOptions<I, E, P>): T;
+export declare function proxy<T extends object, const K extends Extract<NameHint<T>, string>>(
+  self: BindTarget<T, K>,
+  ...methods: K[]
+): T;
+export declare function proxy<T extends object>(self: T, options?: AutoBindOptions<T>): T;
+
+/** The methods of `T` as a read-only object, as returned by `extract` */
+export type BoundMethods<T> = Readonly<Pick<T, Extract<MethodKeys<T>, keyof T>>>;
+
+/**
+ * Get a frozen plain object of stable bound methods of `self`, keyed by
+ * method name (Symbols included), without adding properties to `self`.
+ * Repeated calls with the same options, hooks included, return the same
+ * object, and a method's bound function stays the same for the same hooks.
+ *
+ * @param self - The instance
+ * @param options - Same options as autoBind; `lazy`, `mode` and `own` don't apply
+ * @returns The frozen namespace
+ *
+ * @example
+ * ```ts
+ * app.use(autoBind.extract(controller, { pattern: /^(get|post)/ }));
+ * ```
+ */
+export declare function extract<
+  T extends object,
+  const I extends NameHint<T> = never,
+  const E extends NameHint<T> = never,
+  const P extends NameHint<T> = never,
+>(self: BindTarget<T, I | E | P>, options?: NamedOptions<I, E, P>): BoundMethods<T>;
+export declare function extract<T extends object, const K extends Extract<NameHint<T>, string>>(
+  self: BindTarget<T, K>,
+  ...methods: K[]
+): Readonly<Pick<T, Extract<K, keyof T>>>;
+export declare function extract<T extends object>(self: T, options?: AutoBindOptions<T>): BoundMethods<T>;
+
+/**
+ * Drop all cached binding plans.
+ *
+ * autoBind caches the resolved method list per prototype and options, and
+ * re-resolves it when a prototype in the chain gains or loses keys. Call
+ * this after changes the cache can't detect, such as replacing a method
+ * with a getter under the same name.
+ */
+export declare function clearCache(): void;
+
+export interface PresetDefinition extends AutoBindOptions {
+  /**
+   * Return extra options computed per instance, e.g. a `stopAt` found by
+   * walking the instance's prototype chain.
+   */
+  resolve?(self: object): AutoBindOptions | void;
+}
+
+/**
+ * Register a named set of options, used as `autoBind(this, { preset: name })`.
+ *
+ * `include`, `exclude`, `pattern` and `filter` accumulate across presets and
+ * the caller's options; other options are overridden by whatever comes later.
+ * Names in a preset's `exclude` are never reported by strict mode and show
+ * up as `'lifecycle'` in `inspect` reports.
+ *
+ * @example
+ * ```ts
+ * autoBind.definePreset('controller', {
+ *   exclude: ['before*', 'after*'],
+ *   stopAt: BaseController,
+ * });
+ *
+ * autoBind(this, { preset: ['controller', 'eventemitter'] });
+ * ```
+ */
+export declare function definePreset(name: string, definition: PresetDefinition): void;
+
+/** Why `inspect` reports a method as skipped */
+export type SkipReason =
+  | 'builtin'
+  | 'not-included'
+  | 'excluded'
+  | 'lifecycle'
+  | 'pattern-mismatch'
+  | 'filtered'
+  | 'stop-at'
+  | 'already-bound'
+  | 'non-configurable'
+  | 'not-extensible'
+  | 'unsafe-key';
+
+export declare const SKIP_REASONS: {
+  readonly BUILTIN: 'builtin';
+  readonly NOT_INCLUDED: 'not-included';
+  readonly EXCLUDED: 'excluded';
+  readonly LIFECYCLE: 'lifecycle';
+  readonly PATTERN_MISMATCH: 'pattern-mismatch';
+  readonly FILTERED: 'filtered';
+  readonly STOP_AT: 'stop-at';
+  readonly ALREADY_BOUND: 'already-bound';
+  readonly NON_CONFIGURABLE: 'non-configurable';
+  readonly NOT_EXTENSIBLE: 'not-extensible';
+  readonly UNSAFE_KEY: 'unsafe-key';
+};
+
+export interface MethodReport {
+  /** The method name or Symbol */
+  key: string | symbol;
+  /** Printable name (`String(key)`) */
+  name: string;
+  /** The prototype that defines the method */
+  owner: object;
+  /** Name of the class that defines the method */
+  ownerName: string;
+  /** Whether autoBind would bind the method */
+  bound: boolean;
+  /** Why the method would be skipped, `null` when it would be bound */
+  reason: SkipReason | null;
+}
+
+export interface InspectReport {
+  className: string;
+  /** Every method candidate in the prototype chain */
+  methods: MethodReport[];
+  /** Keys autoBind would bind */
+  bound: (string | symbol)[];
+  /** Keys autoBind would skip */
+  skipped: (string | symbol)[];
+  /** One line per method, e.g. `✗ render (Foo) — lifecycle` */
+  toString(): string;
+  /** Rows for `console.table` */
+  toTable(): { method: string; definedBy: string; bound: boolean; reason: string }[];
+}
+
+/**
+ * Report which methods autoBind would bind on an instance, and why the
+ * others would be skipped. Nothing is mutated.
+ *
+ * @example
+ * ```ts
+ * console.log(String(inspect(this, { pattern: /^handle/ })));
+ * console.table(inspect(this).toTable());
+ * ```
+ */
+export declare function inspect<
+  T extends object,
+  const I extends NameHint<T> = never,
+  const E extends NameHint<T> = never,
+  const P extends NameHint<T> = never,
+>(self: BindTarget<T, I | E | P>, options?: NamedOptions<I, E, P>): InspectReport;
+export declare function inspect<T extends object, const K extends Extract<NameHint<T>, string>>(
+  self: BindTarget<T, K>,
+  ...methods: K[]
+): InspectReport;
+export declare function inspect<T extends object>(self: T, options?: AutoBindOptions<T>): InspectReport;
+
+export interface GuardOptions<T = any> extends AutoBindOptions<T> {
+  /**
+   * What to do when a guarded method is called detached.
+   *
+   * - `'throw'` (default) throws an `AutoBindError` with code `DETACHED_THIS`
+   * - `'warn'` logs the message once and calls the method anyway
+   */
+  onDetached?: 'throw' | 'warn';
+}
+
+/**
+ * Development check for methods autoBind leaves unbound. Pass the options
+ * the class gives autoBind; every prototype method they skip is wrapped so
+ * that calling it with a `this` that isn't an instance throws (or warns)
+ * with the method's name. Wrappers are defined on `Class.prototype` only;
+ * base classes are never modified, and methods of native or
+ * function-constructor bases are skipped. Does nothing when `NODE_ENV` is
+ * `'production'`.
+ *
+ * @returns The class
+ *
+ * @example
+ * ```ts
+ * if (process.env.NODE_ENV !== 'production') {
+ *   autoBind.guard(SearchBox, { pattern: /^handle/ });
+ * }
+ * // setTimeout(box.render) ->
+ * // AutoBindError: `SearchBox#render` was called detached; bind it or include it in autoBind
+ * ```
+ */
+export declare function guard<C extends abstract new (...args: any) => any>(
+  Class: C,
+  options?: GuardOptions<InstanceType<C>>
+): C;
+export declare function guard<
+  C extends abstract new (...args: any) => any,
+  const K extends Extract<MethodKeys<InstanceType<C>>, string>,
+>(Class: C, ...methods: K[]): C;
+
+export interface AutoBindSettings {
+  /** Default for the `strict` option */
+  strict?: boolean;
+}
+
+/**
+ * Change global defaults.
+ *
+ * @example
+ * ```ts
+ * autoBind.configure({ strict: process.env.NODE_ENV !== 'production' });
+ * ```
+ */
+export declare function configure(settings: AutoBindSettings): void;
+
+declare namespace autoBind {
+  export {
+    unbind,
+    proxy,
+    extract,
+    clearCache,
+    configure,
+    inspect,
+    definePreset,
+    isBound,
+    bindingState,
+    original,
+    stats,
+    resetStats,
+    guard,
+  };
+}
 
 /**
- * React-aware autoBind. Automatically excludes React lifecycle methods.
+ * React-aware autoBind. Automatically excludes React lifecycle methods and
+ * stops at the React base class (the first prototype carrying
+ * `isReactComponent`), so `setState`, `forceUpdate` and the rest of the
+ * `Component` API are not bound.
  *
  * @param self - The React component instance
+ * @param options - Same options as autoBind; `stopAt` overrides the detected base
+ * @returns The instance
+ */
+export declare function autoBindReact<
+  T extends object,
+  const I extends NameHint<T> = never,
+  const E extends NameHint<T> = never,
+  const P extends NameHint<T> = never,
+>(self: BindTarget<T, I | E | P>, options?: NamedOptions<I, E, P>): T;
+export declare function autoBindReact<T extends object>(self: T, options?: AutoBindOptions<T>): T;
+
+/**
+ * Custom Elements-aware autoBind. Skips Custom Elements and Lit lifecycle
+ * callbacks (`connectedCallback`, `attributeChangedCallback`, `render`,
+ * `updated`, ...) and stops walking the prototype chain at the platform or
+ * framework base class (`HTMLElement`, `LitElement`, ...), so inherited DOM
+ * methods are not bound. Pass `stopAt` to choose the base class yourself.
+ *
+ * @param self - The element instance
  * @param options - Same options as autoBind
  * @returns The instance
  */
-export declare function autoBindReact<T extends object>(self: T, options?: AutoBindOptions): T;
+export declare function autoBindElement<
+  T extends object,
+  const I extends NameHint<T> = never,
+  const E extends NameHint<T> = never,
+  const P extends NameHint<T> = never,
+>(self: BindTarget<T, I | E | P>, options?: NamedOptions<I, E, P>): T;
+export declare function autoBindElement<T extends object>(self: T, options?: AutoBindOptions<T>): T;
+
+/**
+ * autoBind for plain objects: binds function-valued own properties as well
+ * as prototype methods. Same as `autoBind(self, { ...options, own: true })`.
+ *
+ * @example
+ * ```ts
+ * const service = autoBindObject({
+ *   name: 'users',
+ *   list() { return this.name; },
+ * });
+ * const { list } = service;
+ * list(); // 'users'
+ * ```
+ */
+export declare function autoBindObject<
+  T extends object,
+  const I extends NameHint<T> = never,
+  const E extends NameHint<T> = never,
+  const P extends NameHint<T> = never,
+>(self: BindTarget<T, I | E | P>, options?: NamedOptions<I, E, P>): T;
+export declare function autoBindObject<T extends object, const K extends Extract<NameHint<T>, string>>(
+  self: BindTarget<T, K>,
+  ...methods: K[]
+): T;
+export declare function autoBindObject<T extends object>(self: T, options?: AutoBindOptions<T>): T;
+
+/**
+ * Bind the static methods of a class to the class, including statics
+ * inherited from parent classes (`extends` or `Object.setPrototypeOf`).
+ * Static properties holding classes are left alone.
+ *
+ * `stopAt` takes a parent class (or a depth) to stop at. `lazy: 'prototype'`
+ * falls back to `lazy: true`.
+ *
+ * @example
+ * ```ts
+ * class Controller {
+ *   static table = 'users';
+ *   static list() { return this.table; }
+ * }
+ * autoBindStatic(Controller);
+ * router.get('/', Controller.list);
+ * ```
+ */
+export declare function autoBindStatic<
+  C extends Function,
+  const I extends NameHint<C> = never,
+  const E extends NameHint<C> = never,
+  const P extends NameHint<C> = never,
+>(Class: BindTarget<C, I | E | P>, options?: NamedOptions<I, E, P>): C;
+export declare function autoBindStatic<C extends Function, const K extends Extract<NameHint<C>, string>>(
+  Class: BindTarget<C, K>,
+  ...methods: K[]
+): C;
+export declare function autoBindStatic<C extends Function>(Class: C, options?: AutoBindOptions<C>): C;
+
+export interface BoundClassOptions extends AutoBindOptions {
+  /** Also bind static methods to the class (see `autoBindStatic`) */
+  statics?: boolean;
+}
 
 /**
  * Class decorator that auto-binds all methods on instantiation.
+ * Works with both legacy (`experimentalDecorators`) and standard decorators.
+ * Call it with options to pass them to autoBind, or to bind static methods.
  *
  * @example
  * ```ts
@@ -55,26 +756,98 @@ export declare function autoBindReact<T extends object>(self: T, options?: AutoB
  * class MyClass {
  *   handleClick() { ... }
  * }
+ *
+ * @boundClass({ statics: true, exclude: ['render'] })
+ * class Controller {
+ *   static list() { ... }
+ * }
  * ```
  */
 export declare function boundClass<T extends new (...args: any[]) => any>(target: T): T;
+export declare function boundClass<T extends new (...args: any[]) => any>(
+  target: T,
+  context: ClassDecoratorContext<T>
+): T;
+export declare function boundClass(
+  options: BoundClassOptions
+): <T extends new (...args: any[]) => any>(target: T, context?: ClassDecoratorContext<T>) => T;
+
+export interface BoundOptions {
+  /** Hook(s) applied to the bound method, like autoBind's `wrap` option */
+  wrap?: WrapHook | WrapHook[];
+  /** Catch errors from the bound method, like autoBind's `onError` option */
+  onError?: ErrorHandler;
+  /** Rethrow the error after `onError` has run */
+  rethrow?: boolean;
+}
+
+/** A `@bound` decorator configured with options */
+export interface BoundDecorator {
+  (target: object, key: string | symbol, descriptor: PropertyDescriptor): PropertyDescriptor;
+  <This, Fn extends (this: This, ...args: any[]) => any>(
+    value: Fn,
+    context: ClassMethodDecoratorContext<This, Fn>
+  ): void;
+}
 
 /**
- * Method decorator that lazily binds the method to the instance.
+ * Method decorator that binds the method to the instance.
+ *
+ * With legacy decorators the method is bound lazily on first access; with
+ * standard decorators it is bound by an initializer when the instance is
+ * created. Private methods are not supported.
  *
  * @example
  * ```ts
  * class MyClass {
  *   @bound
  *   handleClick() { ... }
+ *
+ *   @bound({ wrap: (fn) => (...args) => track(() => fn(...args)) })
+ *   handleSubmit() { ... }
  * }
  * ```
  */
+export declare function bound(options: BoundOptions): BoundDecorator;
 export declare function bound(
   target: object,
   key: string | symbol,
   descriptor: PropertyDescriptor
 ): PropertyDescriptor;
+export declare function bound<This, Fn extends (this: This, ...args: any[]) => any>(
+  value: Fn,
+  context: ClassMethodDecoratorContext<This, Fn>
+): void;
+
+/**
+ * Method decorator that binds the method and debounces it per instance.
+ * Each instance gets its own timer; the bound function has `cancel()` and
+ * `flush()`. Trailing edge only by default.
+ *
+ * @example
+ * ```ts
+ * class SearchBox {
+ *   @debounced(300)
+ *   handleInput(event: Event) { ... }
+ * }
+ * ```
+ */
+export declare function debounced(wait: number, options?: TimingEdges): BoundDecorator;
+
+/**
+ * Method decorator that binds the method and throttles it per instance.
+ * Each instance gets its own timer; the bound function has `cancel()` and
+ * `flush()`. Leading and trailing edges by default.
+ *
+ * @example
+ * ```ts
+ * class Sticky {
+ *   @throttled(100)
+ *   handleScroll() { ... }
+ * }
+ * ```
+ */
+export declare function throttled(wait: number, options?: TimingEdges): BoundDecorator;
 
 export default autoBind;
 export { autoBind };
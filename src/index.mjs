@@ -4,10 +4,25 @@
  *
  * Features:
  * - Bind all own and inherited prototype methods
+ * - Optionally bind function-valued own properties (plain objects, mixins)
+ * - Static method binding, including inherited statics
  * - Include/exclude specific methods
- * - Regex pattern matching for method names
+ * - Name matching with strings, globs, regexes and Symbols
  * - Lazy binding (bind on first access via getter)
- * - React-aware variant (skips lifecycle methods)
+ * - Unbinding (revert the bindings on an instance)
+ * - Idempotent: functions already bound to the instance are kept
+ * - Non-mutating Proxy mode for frozen objects
+ * - Extraction of bound methods into a frozen namespace object
+ * - Per-class binding plan cache
+ * - Strict mode reporting unknown method names
+ * - Inspection reports explaining what would be bound
+ * - Development guard reporting unbound methods called detached
+ * - Method hooks: wrapping, error boundaries and call statistics
+ * - Per-instance debounce and throttle
+ * - Weakly held bound methods, with leak reports for forgotten listeners
+ * - React-aware variant (skips lifecycle methods and the Component API)
+ * - Custom Elements-aware variant (skips lifecycle callbacks and DOM base classes)
+ * - User-definable presets (react, element, eventemitter built in)
  * - Class & method decorator support
  * - Full TypeScript support
  * - Zero dependencies
@@ -27,155 +42,2034 @@ const BUILTIN_OBJECT_METHODS = new Set([
   '__lookupSetter__',
 ]);
 
+// ─── Errors ─────────────────────────────────────────────────────────────────
+
+/**
+ * Error thrown by autoBind. `code` is stable and safe to branch on:
+ *
+ * - `INVALID_TARGET`: `self` is not an object
+ * - `NOT_EXTENSIBLE`: the instance is frozen, sealed or non-extensible
+ * - `NON_CONFIGURABLE`: a non-configurable own property has the method's name
+ * - `UNSAFE_KEY`: the method name is unsafe to define (`__proto__`)
+ * - `UNKNOWN_METHOD`: strict mode found a name that matches no method
+ * - `UNKNOWN_PRESET`, `INVALID_PRESET`: preset lookup or definition failed
+ * - `INVALID_OPTION`: an option has the wrong type (e.g. a `wrap` hook that isn't a function)
+ * - `INVALID_DECORATOR`: a decorator was applied to the wrong kind of member
+ * - `DETACHED_THIS`: a method protected by `guard` was called without its instance
+ * - `COLLECTED`: a `weak` bound method was called after its instance was garbage collected
+ */
+class AutoBindError extends TypeError {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'AutoBindError';
+    this.code = code;
+    if (details.key !== undefined) this.key = details.key;
+    if (details.target !== undefined) this.target = details.target;
+  }
+}
+
+/** Method names that are never defined on an instance */
+const UNSAFE_KEYS = new Set(['__proto__']);
+
+function isObjectLike(value) {
+  return (typeof value === 'object' && value !== null) || typeof value === 'function';
+}
+
+function describeValue(value) {
+  if (value === null) return 'null';
+  if (typeof value === 'string') return `string "${value}"`;
+  return typeof value === 'object' || typeof value === 'function' ? typeof value : `${typeof value} ${String(value)}`;
+}
+
+/**
+ * Throw INVALID_TARGET unless `self` can have methods bound
+ */
+function assertTarget(self, api) {
+  if (!isObjectLike(self)) {
+    throw new AutoBindError(
+      'INVALID_TARGET',
+      `${api}: expected an object or class instance, got ${describeValue(self)}`,
+      { target: self }
+    );
+  }
+}
+
+/**
+ * Read the options passed to an entry point, turning the
+ * `(self, 'method1', 'method2')` shorthand into `{ include: [...] }`
+ */
+function normalizeOptions(args) {
+  const options = args[1];
+  if (typeof options !== 'string') return options;
+  return { include: Array.prototype.slice.call(args, 1) };
+}
+
+/**
+ * Internal option for names excluded by presets (e.g. React lifecycle
+ * methods). Works like `exclude` but is never reported by strict mode.
+ */
+const IMPLICIT_EXCLUDE = Symbol('autoBind.implicitExclude');
+
+/**
+ * Shared lazy getters installed on prototypes by `lazy: 'prototype'`.
+ * Discovery treats them as methods.
+ */
+const prototypeGetters = new WeakSet();
+
+function isMethodDescriptor(descriptor) {
+  return !!descriptor &&
+    (typeof descriptor.value === 'function' || prototypeGetters.has(descriptor.get));
+}
+
+/**
+ * Get the method stored under `key` on `proto`, seeing through the shared
+ * getters installed by `lazy: 'prototype'`
+ */
+function getMethod(proto, key) {
+  if (!proto) return undefined;
+  const descriptor = Object.getOwnPropertyDescriptor(proto, key);
+  if (!descriptor) return undefined;
+  // Read on the prototype itself, the shared getter returns the raw method
+  return prototypeGetters.has(descriptor.get) ? descriptor.get.call(proto) : descriptor.value;
+}
+
+/**
+ * Turn `options.stopAt` into a predicate over (proto, depth)
+ */
+function toStopCondition(stopAt) {
+  if (stopAt === undefined || stopAt === null) return () => false;
+  if (typeof stopAt === 'number') return (proto, depth) => depth >= stopAt;
+  const stopProto = typeof stopAt === 'function' ? stopAt.prototype : stopAt;
+  return (proto) => proto === stopProto;
+}
+
+/**
+ * Get all method names from the prototype chain (excluding Object.prototype),
+ * mapped to the prototype that defines them. Walking stops before `stopAt`.
+ */
+function getAllMethodNames(obj, stopAt) {
+  const methods = new Map();
+  const shouldStop = toStopCondition(stopAt);
+  let proto = Object.getPrototypeOf(obj);
+  let depth = 0;
+
+  while (proto && proto !== Object.prototype && !shouldStop(proto, depth)) {
+    const keys = Object.getOwnPropertyNames(proto);
+    for (const key of keys) {
+      if (key === 'constructor' || methods.has(key)) continue;
+      const descriptor = Object.getOwnPropertyDescriptor(proto, key);
+      if (isMethodDescriptor(descriptor)) {
+        methods.set(key, proto);
+      }
+    }
+
+    // Also handle Symbol-keyed methods
+    const symbols = Object.getOwnPropertySymbols(proto);
+    for (const sym of symbols) {
+      if (methods.has(sym)) continue;
+      const descriptor = Object.getOwnPropertyDescriptor(proto, sym);
+      if (isMethodDescriptor(descriptor)) {
+        methods.set(sym, proto);
+      }
+    }
+
+    proto = Object.getPrototypeOf(proto);
+    depth++;
+  }
+
+  return methods;
+}
+
+// ─── Name matching ──────────────────────────────────────────────────────────
+
+/**
+ * Name of a method key as seen by string, glob and RegExp matchers.
+ * Symbols are matched by their description.
+ */
+function keyName(key) {
+  return typeof key === 'symbol' ? key.description : key;
+}
+
+function isGlob(str) {
+  return str.includes('*') || str.includes('?');
+}
+
+/**
+ * Convert a glob (`*` = any run of characters, `?` = one character) to a RegExp
+ */
+function globToRegExp(glob) {
+  let source = '';
+  for (const char of glob) {
+    if (char === '*') source += '.*';
+    else if (char === '?') source += '.';
+    else source += char.replace(/[\\^$.|+()[\]{}]/g, '\\$&');
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Compile a single matcher (string, glob, RegExp or Symbol) to a predicate
+ */
+function compileMatcher(matcher) {
+  if (typeof matcher === 'symbol') {
+    return (key) => key === matcher;
+  }
+  if (matcher instanceof RegExp) {
+    return (key) => {
+      const name = keyName(key);
+      if (name === undefined) return false;
+      // Global/sticky regexes keep state between calls
+      matcher.lastIndex = 0;
+      return matcher.test(name);
+    };
+  }
+  if (typeof matcher === 'string' && isGlob(matcher)) {
+    const regex = globToRegExp(matcher);
+    return (key) => {
+      const name = keyName(key);
+      return name !== undefined && regex.test(name);
+    };
+  }
+  return (key) => key === matcher || keyName(key) === matcher;
+}
+
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Compile a matcher or a list of matchers to a predicate matching any of them
+ */
+function toMatcher(spec) {
+  const matchers = toList(spec).map(compileMatcher);
+  return (key) => matchers.some((match) => match(key));
+}
+
+/**
+ * Reasons a method candidate is not bound, as reported by `inspect`
+ */
+const SKIP_REASONS = {
+  BUILTIN: 'builtin',
+  NOT_INCLUDED: 'not-included',
+  EXCLUDED: 'excluded',
+  LIFECYCLE: 'lifecycle',
+  PATTERN_MISMATCH: 'pattern-mismatch',
+  FILTERED: 'filtered',
+  STOP_AT: 'stop-at',
+  ALREADY_BOUND: 'already-bound',
+  NON_CONFIGURABLE: 'non-configurable',
+  NOT_EXTENSIBLE: 'not-extensible',
+  UNSAFE_KEY: 'unsafe-key',
+};
+
+/** Skip reasons for the AutoBindError codes of instance conflicts */
+const CONFLICT_REASONS = {
+  NON_CONFIGURABLE: SKIP_REASONS.NON_CONFIGURABLE,
+  NOT_EXTENSIBLE: SKIP_REASONS.NOT_EXTENSIBLE,
+  UNSAFE_KEY: SKIP_REASONS.UNSAFE_KEY,
+};
+
+/**
+ * Decide for each method whether options keep it, and if not, why
+ *
+ * @param {Map<string|symbol, object>} methods - Method names mapped to their owner prototype
+ * @returns {{ key: string|symbol, owner: object, reason: string|null }[]}
+ */
+function classifyMethods(methods, options = {}) {
+  const isIncluded = options.include && toMatcher(options.include);
+  const isExcluded = options.exclude && toMatcher(options.exclude);
+  const isImplicit = options[IMPLICIT_EXCLUDE] && toMatcher(options[IMPLICIT_EXCLUDE]);
+  const isMatch = options.pattern && toMatcher(options.pattern);
+  const filters = toList(options.filter);
+
+  const skipReason = (key, owner) => {
+    // Remove built-in object methods
+    if (typeof key === 'string' && BUILTIN_OBJECT_METHODS.has(key)) return SKIP_REASONS.BUILTIN;
+    // Include only specific methods
+    if (isIncluded && !isIncluded(key)) return SKIP_REASONS.NOT_INCLUDED;
+    // Exclude specific methods
+    if (isExcluded && isExcluded(key)) return SKIP_REASONS.EXCLUDED;
+    if (isImplicit && isImplicit(key)) return SKIP_REASONS.LIFECYCLE;
+    // Match pattern
+    if (isMatch && !isMatch(key)) return SKIP_REASONS.PATTERN_MISMATCH;
+    // Custom predicate, run last since it is the most expensive
+    if (filters.length && !filters.every((f) => f(key, getMethod(owner, key), owner))) {
+      return SKIP_REASONS.FILTERED;
+    }
+    return null;
+  };
+
+  return [...methods].map(([key, owner]) => ({ key, owner, reason: skipReason(key, owner) }));
+}
+
+/**
+ * Filter methods based on options
+ *
+ * @param {Map<string|symbol, object>} methods - Method names mapped to their owner prototype
+ */
+function filterMethods(methods, options) {
+  return classifyMethods(methods, options)
+    .filter((entry) => entry.reason === null)
+    .map((entry) => entry.key);
+}
+
+// ─── Binding plan cache ─────────────────────────────────────────────────────
+
+/**
+ * Resolved method lists per prototype. Each entry remembers the options it
+ * was resolved for and the own keys of every prototype in the chain, so a
+ * prototype mutated later is detected and the plan is resolved again.
+ */
+let planCache = new WeakMap();
+
+/** Options that affect which methods are resolved */
+const PLAN_OPTIONS = ['include', 'exclude', 'pattern', 'filter', 'stopAt', IMPLICIT_EXCLUDE];
+
+/** Inline `filter` callbacks never match a cached plan; keep the list short */
+const MAX_PLANS_PER_PROTOTYPE = 16;
+
+function snapshotOptions(options = {}, names = PLAN_OPTIONS) {
+  const snapshot = {};
+  for (const name of names) {
+    const value = options[name];
+    snapshot[name] = Array.isArray(value) ? [...value] : value;
+  }
+  return snapshot;
+}
+
+function sameOptionValue(a, b) {
+  if (a === b) return true;
+  if (Array.isArray(a) && Array.isArray(b)) {
+    if (a.length !== b.length) return false;
+    for (let i = 0; i < a.length; i++) {
+      if (!sameOptionValue(a[i], b[i])) return false;
+    }
+    return true;
+  }
+  if (a instanceof RegExp && b instanceof RegExp) {
+    return a.source === b.source && a.flags === b.flags;
+  }
+  return false;
+}
+
+function matchesOptions(snapshot, options, names = PLAN_OPTIONS) {
+  for (let i = 0; i < names.length; i++) {
+    const name = names[i];
+    if (!sameOptionValue(snapshot[name], options ? options[name] : undefined)) return false;
+  }
+  return true;
+}
+
+function snapshotChain(obj) {
+  const chain = [];
+  let proto = Object.getPrototypeOf(obj);
+  while (proto && proto !== Object.prototype) {
+    chain.push({ proto, keys: Reflect.ownKeys(proto) });
+    proto = Object.getPrototypeOf(proto);
+  }
+  return chain;
+}
+
+function isChainUnchanged(proto, chain) {
+  for (let i = 0; i < chain.length; i++) {
+    const link = chain[i];
+    if (proto !== link.proto) return false;
+    const keys = Reflect.ownKeys(proto);
+    if (keys.length !== link.keys.length) return false;
+    for (let j = 0; j < keys.length; j++) {
+      if (keys[j] !== link.keys[j]) return false;
+    }
+    proto = Object.getPrototypeOf(proto);
+  }
+  return !proto || proto === Object.prototype;
+}
+
+/**
+ * Resolve the methods to bind, reusing the plan cached for the prototype.
+ * A plan also lists the include/exclude names that matched no method.
+ */
+function resolvePlan(self, options) {
+  const proto = Object.getPrototypeOf(self);
+  if (!proto) return createPlan(self, options);
+
+  let entries = planCache.get(proto);
+  if (entries) {
+    for (let i = 0; i < entries.length; i++) {
+      const entry = entries[i];
+      if (matchesOptions(entry.options, options) && isChainUnchanged(proto, entry.chain)) {
+        return entry.plan;
+      }
+    }
+    // Drop stale plans resolved for the same options
+    entries = entries.filter((entry) => !matchesOptions(entry.options, options));
+  } else {
+    entries = [];
+  }
+
+  const plan = createPlan(self, options);
+  entries.push({ options: snapshotOptions(options), chain: snapshotChain(self), plan });
+  if (entries.length > MAX_PLANS_PER_PROTOTYPE) entries.shift();
+  planCache.set(proto, entries);
+  return plan;
+}
+
+function createPlan(self, options) {
+  const stopAt = options && options.stopAt;
+  const allMethods = getAllMethodNames(self, stopAt);
+  const methods = filterMethods(allMethods, options);
+  // Names are checked against the whole chain, not just up to `stopAt`
+  const known = stopAt === undefined || stopAt === null ? allMethods : getAllMethodNames(self);
+  return { methods, unknown: findUnknownNames(known, options) };
+}
+
+/**
+ * Drop all cached binding plans
+ */
+function clearCache() {
+  planCache = new WeakMap();
+}
+
+// ─── Strict mode ────────────────────────────────────────────────────────────
+
+/**
+ * Global defaults, changed through `configure`
+ */
+const defaults = {
+  strict: false,
+};
+
+/**
+ * Change global defaults
+ *
+ * @param {object} settings
+ * @param {boolean} [settings.strict] - Throw for include/exclude names that match no method
+ */
+function configure(settings = {}) {
+  if (settings.strict !== undefined) defaults.strict = !!settings.strict;
+}
+
+function isDevelopment() {
+  return typeof process === 'undefined' || !process.env || process.env.NODE_ENV !== 'production';
+}
+
+/**
+ * List the exact names in include/exclude that match no method in the chain.
+ * Globs and regexes are not reported since matching nothing can be intended.
+ */
+function findUnknownNames(methods, options) {
+  const unknown = [];
+  if (!options) return unknown;
+
+  for (const option of ['include', 'exclude']) {
+    if (!options[option]) continue;
+    for (const name of toList(options[option])) {
+      const isExactName = typeof name === 'symbol' || (typeof name === 'string' && !isGlob(name));
+      if (!isExactName || BUILTIN_OBJECT_METHODS.has(name)) continue;
+      if ([...methods.keys()].some(toMatcher(name))) continue;
+      unknown.push({ option, name });
+    }
+  }
+
+  return unknown;
+}
+
+/**
+ * Levenshtein distance, used for "did you mean" suggestions
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function suggestNames(name, methods) {
+  if (typeof name !== 'string') return [];
+  const maxDistance = Math.max(2, Math.floor(name.length / 3));
+  return [...methods.keys()]
+    .filter((key) => typeof key === 'string' && !BUILTIN_OBJECT_METHODS.has(key))
+    .map((key) => ({ key, distance: editDistance(name.toLowerCase(), key.toLowerCase()) }))
+    .filter(({ distance }) => distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, 3)
+    .map(({ key }) => key);
+}
+
+function describeClass(self) {
+  // Classes themselves, when binding static methods
+  if (typeof self === 'function' && self.name) return self.name;
+  const ctor = self && self.constructor;
+  return (ctor && ctor.name) || 'object';
+}
+
+function formatUnknownNames(self, unknown, methods) {
+  const lines = unknown.map(({ option, name }) => {
+    const suggestions = suggestNames(name, methods);
+    const hint = suggestions.length
+      ? ` Did you mean ${suggestions.map((s) => `"${s}"`).join(', ')}?`
+      : '';
+    return `"${String(name)}" in ${option} does not match any method of ${describeClass(self)}.${hint}`;
+  });
+  return `autoBind: ${lines.join(' ')}`;
+}
+
+const warnedMessages = new Set();
+
+/**
+ * Throw for unknown names in strict mode, warn once per message otherwise
+ */
+function reportUnknownNames(self, unknown, options) {
+  if (unknown.length === 0) return;
+
+  const strict = options && options.strict !== undefined ? options.strict : defaults.strict;
+  if (!strict && !isDevelopment()) return;
+
+  const message = formatUnknownNames(self, unknown, getAllMethodNames(self));
+  if (strict) throw new AutoBindError('UNKNOWN_METHOD', message, { target: self });
+
+  if (!warnedMessages.has(message)) {
+    warnedMessages.add(message);
+    console.warn(message);
+  }
+}
+
+// ─── Presets ────────────────────────────────────────────────────────────────
+
+/**
+ * Named option sets, registered with `definePreset`
+ */
+const presets = new Map();
+
+/**
+ * Register a named set of options to use as `autoBind(this, { preset: name })`.
+ *
+ * A preset takes the same options as autoBind, plus:
+ * - `preset`: other presets it builds on
+ * - `resolve(self)`: returns extra options computed per instance
+ *
+ * Names in a preset's `exclude` are never reported by strict mode.
+ *
+ * @param {string} name - Preset name
+ * @param {object} definition - Options applied by the preset
+ */
+function definePreset(name, definition) {
+  if (typeof name !== 'string' || name === '') {
+    throw new AutoBindError('INVALID_PRESET', 'autoBind.definePreset: name must be a non-empty string');
+  }
+  if (!definition || typeof definition !== 'object') {
+    throw new AutoBindError(
+      'INVALID_PRESET',
+      `autoBind.definePreset: preset "${name}" must be an options object`
+    );
+  }
+  presets.set(name, { ...definition });
+}
+
+/** Options whose values accumulate across presets and user options */
+const LIST_OPTIONS = ['include', 'pattern', 'filter', 'wrap'];
+
+/**
+ * Merge one set of options into `target`. List options accumulate; other
+ * options are overridden by the later source.
+ */
+function mergeOptions(target, source, excludeKey) {
+  for (const key of Reflect.ownKeys(source)) {
+    if (key === 'preset' || key === 'resolve' || source[key] === undefined) continue;
+    if (key === 'exclude' || key === IMPLICIT_EXCLUDE) {
+      const into = key === 'exclude' ? excludeKey : IMPLICIT_EXCLUDE;
+      target[into] = [...toList(target[into]), ...toList(source[key])];
+    } else if (LIST_OPTIONS.includes(key)) {
+      target[key] = [...toList(target[key]), ...toList(source[key])];
+    } else {
+      target[key] = source[key];
+    }
+  }
+}
+
+function collectPresets(self, names, target, seen) {
+  for (const name of toList(names)) {
+    if (seen.has(name)) continue;
+    seen.add(name);
+
+    const definition = presets.get(name);
+    if (!definition) {
+      const available = [...presets.keys()].map((n) => `"${n}"`).join(', ');
+      throw new AutoBindError(
+        'UNKNOWN_PRESET',
+        `autoBind: unknown preset "${name}". Available presets: ${available}`
+      );
+    }
+
+    // Presets a preset builds on apply first
+    collectPresets(self, definition.preset, target, seen);
+    mergeOptions(target, definition, IMPLICIT_EXCLUDE);
+    if (typeof definition.resolve === 'function') {
+      mergeOptions(target, definition.resolve(self) || {}, IMPLICIT_EXCLUDE);
+    }
+  }
+}
+
+/**
+ * Expand `options.preset` into plain options, with the caller's options last
+ */
+function applyPresets(self, options) {
+  if (!options || options.preset === undefined) return options;
+
+  const merged = {};
+  collectPresets(self, options.preset, merged, new Set());
+  mergeOptions(merged, options, 'exclude');
+  return merged;
+}
+
+// ─── Binding ────────────────────────────────────────────────────────────────
+
+/**
+ * Own properties installed by autoBind, per instance (key -> value or getter).
+ * Lets `unbind` remove exactly what was installed.
+ */
+const installed = new WeakMap();
+
+function recordInstalled(self, key, value) {
+  let record = installed.get(self);
+  if (!record) {
+    record = new Map();
+    installed.set(self, record);
+  }
+  record.set(key, value);
+}
+
+/**
+ * Functions created by autoBind (bound function -> { target, original })
+ */
+const boundFunctions = new WeakMap();
+
+/**
+ * Bind `fn` to `target`, remembering both so the result can be recognised
+ */
+function bindTo(fn, target) {
+  const boundFn = fn.bind(target);
+  boundFunctions.set(boundFn, { target, original: fn });
+  return boundFn;
+}
+
+/**
+ * Throw INVALID_OPTION unless every `wrap` hook and `onError` is a function,
+ * so a bad hook fails when autoBind runs rather than on first (lazy) access
+ */
+function assertHooks(options, api) {
+  for (const wrap of toList(options && options.wrap)) {
+    if (typeof wrap !== 'function') {
+      throw new AutoBindError('INVALID_OPTION', `${api}: wrap must be a function, got ${describeValue(wrap)}`);
+    }
+  }
+  if (options && options.onError !== undefined && typeof options.onError !== 'function') {
+    throw new AutoBindError(
+      'INVALID_OPTION',
+      `${api}: onError must be a function, got ${describeValue(options.onError)}`
+    );
+  }
+  if (options && options.weak) assertWeakOptions(options, api);
+  for (const kind of TIMING_OPTIONS) {
+    const specs = options && options[kind];
+    if (specs === undefined) continue;
+    if (!specs || typeof specs !== 'object') {
+      throw new AutoBindError('INVALID_OPTION', `${api}: ${kind} must map method names to delays`);
+    }
+    for (const key of Reflect.ownKeys(specs)) normalizeTiming(specs[key], `${api}: ${kind}.${keyName(key)}`);
+  }
+}
+
+function isThenable(value) {
+  return isObjectLike(value) && typeof value.then === 'function';
+}
+
+/**
+ * Wrap hook behind the `onError` option. Sync throws and async rejections
+ * are passed to `onError`; the method then returns (or resolves to) its
+ * result, unless `rethrow` is set. With `weak`, `self` is held weakly.
+ */
+function catchErrors(onError, rethrow, weak) {
+  return (fn, name, self) => {
+    const ref = refTo(self, weak);
+    return (...args) => {
+      const handle = (error) => {
+        const result = onError(error, { name, self: ref.deref(), args });
+        if (rethrow) throw error;
+        return result;
+      };
+
+      let result;
+      try {
+        result = fn(...args);
+      } catch (error) {
+        return handle(error);
+      }
+      return isThenable(result) ? result.then(undefined, handle) : result;
+    };
+  };
+}
+
+/**
+ * The hooks applied by `createBound` to `key`: instrumentation innermost so
+ * it times the method itself, `wrap` in order, then the `onError` boundary
+ * so it also catches errors thrown by the hooks, and debounce/throttle
+ * outermost so their `cancel`/`flush` stay reachable
+ */
+function getWrappers(options, key) {
+  if (!options) return [];
+  const wrappers = [...toList(options.wrap)];
+  if (options.instrument) wrappers.unshift(instrument);
+  if (options.onError) wrappers.push(catchErrors(options.onError, options.rethrow, options.weak));
+  for (const kind of TIMING_OPTIONS) {
+    const specs = options[kind];
+    if (specs && Object.prototype.hasOwnProperty.call(specs, key)) {
+      const timing = normalizeTiming(specs[key]);
+      wrappers.push((fn) => (kind === 'debounce' ? debounce : throttle)(fn, timing));
+    }
+  }
+  return wrappers;
+}
+
+/**
+ * Bind `fn` to `self` and pass the result through the `wrap` hooks, in
+ * order. Each hook gets the bound function, so whatever it returns stays
+ * bound; the final function is recorded against `fn` like any binding.
+ * With `weak: true` the binding goes through a `WeakRef` and is tracked
+ * for leak reports.
+ */
+function createBound(fn, self, key, options) {
+  const weak = !!(options && options.weak);
+  const wrappers = getWrappers(options, key);
+  let boundFn = weak ? bindWeak(fn, self, key, options.onCollected) : bindTo(fn, self);
+  if (wrappers.length === 0 && !weak) return boundFn;
+  const record = boundFunctions.get(boundFn);
+
+  for (const wrap of wrappers) {
+    const wrapped = wrap(boundFn, key, self);
+    if (typeof wrapped === 'function') boundFn = wrapped;
+  }
+
+  boundFunctions.set(boundFn, record);
+  if (weak) trackWeak(self, key, boundFn, options.onLeak);
+  return boundFn;
+}
+
+function isBoundTo(fn, target) {
+  const info = boundFunctions.get(fn);
+  return !!info && info.target === unwrapProxy(target);
+}
+
+/**
+ * Whether an own property of `self` already holds a binding made by autoBind
+ */
+function hasOwnBinding(self, key) {
+  const descriptor = Object.getOwnPropertyDescriptor(self, key);
+  if (!descriptor) return false;
+  if (isBoundTo(descriptor.value, self)) return true;
+
+  const record = installed.get(self);
+  return !!descriptor.get && !!record && record.get(key) === descriptor.get;
+}
+
+/**
+ * Whether `fn` was bound by autoBind (or the decorators), and to `target`
+ * when one is given
+ *
+ * @param {Function} fn
+ * @param {object} [target] - The instance `fn` should be bound to
+ * @returns {boolean}
+ */
+function isBound(fn, target) {
+  return arguments.length > 1 ? isBoundTo(fn, target) : boundFunctions.has(fn);
+}
+
+/**
+ * How `key` is bound on `self`: `'bound'` when the instance holds a bound
+ * function, `'lazy'` when a getter installed by autoBind or `@bound` will
+ * bind it on first access, `null` otherwise. Never triggers lazy binding.
+ *
+ * @param {object} self - The instance
+ * @param {string|symbol} key - The method name
+ * @returns {'bound'|'lazy'|null}
+ */
+function bindingState(self, key) {
+  const descriptor = Object.getOwnPropertyDescriptor(self, key);
+  if (descriptor) {
+    if (isBoundTo(descriptor.value, self)) return 'bound';
+    const record = installed.get(self);
+    return descriptor.get && record && record.get(key) === descriptor.get ? 'lazy' : null;
+  }
+
+  const inherited = findDescriptorInChain(self, key);
+  if (!inherited || !inherited.get) return null;
+  return prototypeGetters.has(inherited.get) || decoratorGetters.has(inherited.get) ? 'lazy' : null;
+}
+
+/**
+ * Get the unbound function behind a function bound by autoBind, seeing
+ * through `guard` wrappers. Returns `fn` itself when it wasn't bound by
+ * autoBind.
+ *
+ * @param {Function} fn
+ * @returns {Function}
+ */
+function original(fn) {
+  const info = boundFunctions.get(fn);
+  const method = info ? info.original : fn;
+  const lookup = guardedMethods.get(method);
+  return lookup ? lookup() : method;
+}
+
+/**
+ * Define a bound method as a non-enumerable own property and record it
+ */
+function defineBound(self, key, boundFn) {
+  const existing = saveReplaced(self, key);
+  Object.defineProperty(self, key, {
+    value: boundFn,
+    writable: true,
+    configurable: true,
+    // Own function properties keep their enumerability
+    enumerable: !!existing && !!existing.enumerable,
+  });
+  recordInstalled(self, key, boundFn);
+}
+
+/**
+ * Own properties replaced by a binding (`own: true`), per instance
+ * (key -> original descriptor). `unbind` puts them back.
+ */
+const replaced = new WeakMap();
+
+/**
+ * Remember the own property about to be replaced by a binding, unless it is
+ * a binding itself. Returns the descriptor of the original own property.
+ */
+function saveReplaced(self, key) {
+  let saved = replaced.get(self);
+  if (saved && saved.has(key)) return saved.get(key);
+
+  const descriptor = Object.getOwnPropertyDescriptor(self, key);
+  if (!descriptor || hasOwnBinding(self, key)) return undefined;
+
+  if (!saved) {
+    saved = new Map();
+    replaced.set(self, saved);
+  }
+  saved.set(key, descriptor);
+  return descriptor;
+}
+
+/**
+ * Get the function-valued own properties of `obj` (not accessors), mapped to
+ * `obj`. Properties holding bindings made by autoBind are skipped.
+ */
+function getOwnMethodNames(obj) {
+  const methods = new Map();
+  for (const key of Reflect.ownKeys(obj)) {
+    const descriptor = Object.getOwnPropertyDescriptor(obj, key);
+    if (!descriptor || typeof descriptor.value !== 'function') continue;
+    if (isBoundTo(descriptor.value, obj)) continue;
+    methods.set(key, obj);
+  }
+  return methods;
+}
+
+/**
+ * Add the own methods of `self` to a resolved plan (`own: true`). Own
+ * properties are per instance, so this part is never cached.
+ */
+function addOwnMethods(self, plan, options) {
+  const ownMethods = getOwnMethodNames(self);
+  if (ownMethods.size === 0) return plan;
+
+  const own = filterMethods(ownMethods, options);
+  const isOwn = (key) => ownMethods.has(key);
+  return {
+    methods: [...own, ...plan.methods.filter((key) => !isOwn(key))],
+    own,
+    unknown: plan.unknown.filter(({ name }) => ![...ownMethods.keys()].some(toMatcher(name))),
+  };
+}
+
+/**
+ * Find what would stop a bound method from being defined as `key` on `self`
+ *
+ * @returns {AutoBindError|null}
+ */
+function findConflict(self, key) {
+  const method = () => `${describeClass(self)}#${String(key)}`;
+
+  if (UNSAFE_KEYS.has(key)) {
+    return new AutoBindError(
+      'UNSAFE_KEY',
+      `autoBind: refusing to bind ${method()}: "${key}" is not safe to define on an instance`,
+      { key, target: self }
+    );
+  }
+
+  const descriptor = Object.getOwnPropertyDescriptor(self, key);
+  if (descriptor && !descriptor.configurable) {
+    return new AutoBindError(
+      'NON_CONFIGURABLE',
+      `autoBind: cannot bind ${method()}: the instance has a non-configurable own property with that name`,
+      { key, target: self }
+    );
+  }
+  if (!descriptor && !Object.isExtensible(self)) {
+    return new AutoBindError(
+      'NOT_EXTENSIBLE',
+      `autoBind: cannot bind ${method()}: the instance is frozen, sealed or not extensible. ` +
+        "Use { mode: 'proxy' } for immutable objects",
+      { key, target: self }
+    );
+  }
+  return null;
+}
+
+/**
+ * Whether a bound method can be defined as `key` on `self`. Conflicts are
+ * thrown, logged or skipped depending on `onConflict`.
+ */
+function canDefine(self, key, onConflict = 'throw') {
+  const conflict = findConflict(self, key);
+  if (!conflict) return true;
+
+  if (onConflict === 'warn') console.warn(conflict.message);
+  else if (onConflict !== 'skip') throw conflict;
+  return false;
+}
+
+/**
+ * Bind methods eagerly (standard mode)
+ */
+function bindEager(self, methods, options = {}) {
+  for (const method of methods) {
+    const val = self[method];
+    // Keep functions already bound to this instance (e.g. by a base class constructor)
+    if (typeof val === 'function' && !isBoundTo(val, self) && canDefine(self, method, options.onConflict)) {
+      defineBound(self, method, createBound(val, self, method, options));
+    }
+  }
+}
+
+/**
+ * Bind methods lazily (bind on first access)
+ */
+function bindLazy(self, methods, options = {}) {
+  for (const method of methods) {
+    if (hasOwnBinding(self, method) || !canDefine(self, method, options.onConflict)) continue;
+
+    const proto = Object.getPrototypeOf(self);
+    const descriptor = Object.getOwnPropertyDescriptor(self, method) ||
+      Object.getOwnPropertyDescriptor(proto, method) ||
+      findDescriptorInChain(self, method);
+
+    if (!descriptor || typeof descriptor.value !== 'function') continue;
+
+    const originalFn = descriptor.value;
+    saveReplaced(self, method);
+
+    const get = function () {
+      const boundFn = createBound(originalFn, self, method, options);
+      // Replace getter with the bound value on first access
+      defineBound(self, method, boundFn);
+      return boundFn;
+    };
+
+    Object.defineProperty(self, method, {
+      configurable: true,
+      enumerable: false,
+      get,
+    });
+    recordInstalled(self, method, get);
+  }
+}
+
+/**
+ * Plans already installed by `lazy: 'prototype'` (proto -> WeakSet of plans)
+ */
+const prototypePlans = new WeakMap();
+
+/**
+ * Options with hooks passed by instances using `lazy: 'prototype'`
+ * (instance -> options)
+ */
+const prototypeHooks = new WeakMap();
+
+/**
+ * Bind methods lazily through one shared getter per method on the
+ * prototype. Construction is O(1) once the plan has been installed.
+ */
+function bindPrototype(self, methods, options) {
+  const proto = Object.getPrototypeOf(self);
+  if (!proto) return;
+
+  // The shared getters read the hooks from the instance they bind for
+  if (hasHooks(options)) prototypeHooks.set(self, options);
+  else prototypeHooks.delete(self);
+
+  let plans = prototypePlans.get(proto);
+  if (plans && plans.has(methods)) return;
+
+  for (const method of methods) {
+    const descriptor = findDescriptorInChain(self, method);
+    if (!descriptor || typeof descriptor.value !== 'function') continue;
+    installPrototypeGetter(proto, method);
+  }
+
+  if (!plans) {
+    plans = new WeakSet();
+    prototypePlans.set(proto, plans);
+  }
+  plans.add(methods);
+}
+
+/**
+ * Descriptors replaced by `lazy: 'prototype'` (proto -> Map of key ->
+ * original own descriptor, or undefined for inherited methods)
+ */
+const prototypeDescriptors = new WeakMap();
+
+function installPrototypeGetter(proto, key) {
+  const own = Object.getOwnPropertyDescriptor(proto, key);
+  // Inherited methods are looked up on each access, so patches to the base prototype apply
+  const lookup = own ? () => own.value : () => getMethod(findOwner(proto, key), key);
+
+  const get = function () {
+    const fn = lookup();
+    // Accessed on the prototype itself, or through `super` from an override
+    if (findOwner(this, key) !== proto || typeof fn !== 'function') return fn;
+
+    const boundFn = createBound(fn, this, key, prototypeHooks.get(this));
+    // The binding can't be cached on a frozen instance; still hand out a bound function
+    if (findConflict(this, key)) return boundFn;
+
+    defineBound(this, key, boundFn);
+    return boundFn;
+  };
+
+  // Plain assignment on an instance still creates an own property
+  const set = function (value) {
+    Object.defineProperty(this, key, {
+      value,
+      writable: true,
+      configurable: true,
+      enumerable: true,
+    });
+  };
+
+  let saved = prototypeDescriptors.get(proto);
+  if (!saved) {
+    saved = new Map();
+    prototypeDescriptors.set(proto, saved);
+  }
+  saved.set(key, own);
+
+  Object.defineProperty(proto, key, {
+    configurable: true,
+    enumerable: false,
+    get,
+    set,
+  });
+  prototypeGetters.add(get);
+}
+
+/**
+ * Put back the prototype methods replaced by `lazy: 'prototype'`. Methods
+ * reassigned on the prototype since then are left alone.
+ */
+function restorePrototype(proto, options) {
+  const saved = prototypeDescriptors.get(proto);
+  if (!saved) return;
+
+  const methods = new Map([...saved.keys()].map((key) => [key, proto]));
+  for (const key of filterMethods(methods, options)) {
+    const descriptor = Object.getOwnPropertyDescriptor(proto, key);
+    if (descriptor && prototypeGetters.has(descriptor.get)) {
+      if (saved.get(key)) Object.defineProperty(proto, key, saved.get(key));
+      else delete proto[key];
+    }
+    saved.delete(key);
+  }
+  // Let a later autoBind install the getters again
+  prototypePlans.delete(proto);
+}
+
+/**
+ * Options that change the functions handed out for a plan. Caches of bound
+ * functions (proxies, extracted namespaces) are keyed by these as well.
+ */
+const HOOK_OPTIONS = ['wrap', 'onError', 'rethrow', 'instrument', 'weak', 'onCollected', 'onLeak'];
+
+function snapshotTimings(specs) {
+  if (!specs) return undefined;
+  const timings = {};
+  for (const key of Reflect.ownKeys(specs)) timings[key] = normalizeTiming(specs[key]);
+  return timings;
+}
+
+function sameTimings(timings, specs) {
+  const keys = timings ? Reflect.ownKeys(timings) : [];
+  if (keys.length !== (specs ? Reflect.ownKeys(specs).length : 0)) return false;
+  return keys.every((key) => {
+    if (!Object.prototype.hasOwnProperty.call(specs, key)) return false;
+    const a = timings[key];
+    const b = normalizeTiming(specs[key]);
+    return a.wait === b.wait && a.leading === b.leading && a.trailing === b.trailing;
+  });
+}
+
+function snapshotHooks(options = {}) {
+  const snapshot = snapshotOptions(options, HOOK_OPTIONS);
+  for (const kind of TIMING_OPTIONS) snapshot[kind] = snapshotTimings(options[kind]);
+  return snapshot;
+}
+
+function matchesHooks(snapshot, options) {
+  return matchesOptions(snapshot, options, HOOK_OPTIONS) &&
+    TIMING_OPTIONS.every((kind) => sameTimings(snapshot[kind], options && options[kind]));
+}
+
+/**
+ * Whether `options` sets any hook (`wrap`, `onError`, `debounce`, ...)
+ */
+function hasHooks(options) {
+  if (!options) return false;
+  const isSet = (name) => options[name] !== undefined;
+  return HOOK_OPTIONS.some(isSet) || TIMING_OPTIONS.some(isSet);
+}
+
+/**
+ * Look up what was created for `self` from the same plan and hooks
+ */
+function findCached(cache, self, methods, options) {
+  const entries = cache.get(self);
+  const entry = entries && entries.find(
+    (candidate) => candidate.methods === methods && matchesHooks(candidate.hooks, options)
+  );
+  return entry && entry.value;
+}
+
+function addCached(cache, self, methods, options, value) {
+  let entries = cache.get(self);
+  if (!entries) {
+    entries = [];
+    cache.set(self, entries);
+  }
+  entries.push({ methods, hooks: snapshotHooks(options), value });
+  // Inline hooks never match a cached entry
+  if (entries.length > MAX_PLANS_PER_PROTOTYPE) entries.shift();
+  return value;
+}
+
+/**
+ * Proxies created by `mode: 'proxy'` (target -> list of plan, hooks and
+ * proxy), so the same instance and options always yield the same proxy and
+ * bound methods
+ */
+const proxies = new WeakMap();
+
+/** Proxies created by `mode: 'proxy'` (proxy -> target) */
+const proxyTargets = new WeakMap();
+
+/**
+ * The instance behind a proxy from `mode: 'proxy'`, or `obj` itself
+ */
+function unwrapProxy(obj) {
+  return proxyTargets.get(obj) || obj;
+}
+
+/**
+ * Bind methods through a Proxy without touching the target. Reading a
+ * method through the proxy returns a cached function bound to the target,
+ * so methods and accessors can use `#private` fields; own properties,
+ * writes, `in` and `instanceof` pass through.
+ */
+function bindProxy(self, methods, options) {
+  const cached = findCached(proxies, self, methods, options);
+  if (cached) return cached;
+
+  const keys = new Set(methods);
+  const cache = new Map();
+
+  const proxy = new Proxy(self, {
+    get(target, key, receiver) {
+      // Accessors run against the target as well, for `#private` fields
+      const value = Reflect.get(target, key, receiver === proxy ? target : receiver);
+      if (
+        typeof value !== 'function' ||
+        !keys.has(key) ||
+        Object.prototype.hasOwnProperty.call(target, key)
+      ) {
+        return value;
+      }
+
+      // Rebind when the prototype method was replaced since it was cached
+      let boundFn = cache.get(key);
+      if (!boundFn || original(boundFn) !== value) {
+        boundFn = createBound(value, target, key, options);
+        cache.set(key, boundFn);
+      }
+      return boundFn;
+    },
+  });
+
+  proxyTargets.set(proxy, self);
+  return addCached(proxies, self, methods, options, proxy);
+}
+
+/**
+ * Find the object in the prototype chain of `obj` that owns `key`
+ */
+function findOwner(obj, key) {
+  let proto = Object.getPrototypeOf(obj);
+  while (proto && !Object.prototype.hasOwnProperty.call(proto, key)) {
+    proto = Object.getPrototypeOf(proto);
+  }
+  return proto;
+}
+
+function findDescriptorInChain(obj, key) {
+  let proto = Object.getPrototypeOf(obj);
+  while (proto && proto !== Object.prototype) {
+    const desc = Object.getOwnPropertyDescriptor(proto, key);
+    if (desc) return desc;
+    proto = Object.getPrototypeOf(proto);
+  }
+  return undefined;
+}
+
+/**
+ * Main autoBind function
+ *
+ * @param {object} self - The class instance (usually `this`)
+ * @param {object} [options] - Configuration options
+ * @param {Array<string|symbol|RegExp>} [options.include] - Only bind these methods
+ * @param {Array<string|symbol|RegExp>} [options.exclude] - Don't bind these methods
+ * @param {RegExp|string|symbol|Array} [options.pattern] - Only bind methods matching any of these
+ * @param {Function|Function[]} [options.filter] - Predicate(s) `(name, fn, ownerProto) => boolean`
+ * @param {Function|object|number} [options.stopAt] - Stop walking the prototype chain
+ *   before this class or prototype, or after this many prototypes
+ * @param {boolean} [options.strict] - Throw for include/exclude names that match no method
+ * @param {boolean} [options.own] - Also bind function-valued own properties
+ * @param {string|string[]} [options.preset] - Named presets to apply (see `definePreset`)
+ * @param {boolean|'prototype'} [options.lazy] - Use lazy binding (bind on first access).
+ *   `'prototype'` installs one shared getter per method on the prototype instead of per instance
+ * @param {'throw'|'warn'|'skip'} [options.onConflict] - What to do when a method can't be
+ *   defined on the instance (non-configurable property, frozen instance, unsafe name)
+ * @param {'define'|'proxy'} [options.mode] - `'proxy'` returns a Proxy handing out bound
+ *   methods instead of defining properties on the instance
+ * @param {Function|Function[]} [options.wrap] - Hook(s) `(boundFn, name, self) => fn`
+ *   applied in order to every bound method
+ * @param {Function} [options.onError] - `(error, { name, self, args })` called when a bound
+ *   method throws or its promise rejects; its return value becomes the method's result
+ * @param {boolean} [options.rethrow] - Rethrow (or reject with) the error after `onError`
+ * @param {boolean} [options.instrument] - Record call statistics (see `stats`)
+ * @param {object} [options.debounce] - Debounce methods: `{ name: ms }` or
+ *   `{ name: { wait, leading, trailing } }`
+ * @param {object} [options.throttle] - Throttle methods, same form as `debounce`
+ * @param {boolean} [options.weak] - Bound methods hold the instance through a `WeakRef`
+ * @param {'ignore'|'throw'} [options.onCollected] - What a `weak` bound method does when
+ *   called after its instance was collected (default `'ignore'`: nothing)
+ * @param {Function} [options.onLeak] - `({ className, keys, message })` called when an
+ *   instance is collected while `weak` bound methods are still referenced elsewhere
+ * @returns {object} The instance (for chaining), or the Proxy in proxy mode
+ */
+function autoBind(self, options) {
+  options = normalizeOptions(arguments);
+  assertTarget(self, 'autoBind');
+  options = applyPresets(self, options);
+  assertHooks(options, 'autoBind');
+
+  let plan = resolvePlan(self, options);
+  if (options && options.own && options.mode !== 'proxy') plan = addOwnMethods(self, plan, options);
+
+  const { methods, unknown } = plan;
+  reportUnknownNames(self, unknown, options);
+
+  if (options && options.mode === 'proxy') {
+    return bindProxy(self, methods, options);
+  }
+
+  if (options && options.lazy === 'prototype') {
+    // Own methods can't be reached through prototype getters
+    if (plan.own) bindEager(self, plan.own, options);
+    bindPrototype(self, plan.own ? plan.methods.filter((key) => !plan.own.includes(key)) : methods, options);
+  } else if (options && options.lazy) {
+    bindLazy(self, methods, options);
+  } else {
+    bindEager(self, methods, options);
+  }
+
+  return self;
+}
+
+/**
+ * Remove the bindings autoBind installed on an instance, restoring access
+ * to the prototype methods (and the original own functions bound with
+ * `own: true`). Own properties assigned after binding are kept. Given a
+ * prototype, puts back the methods `lazy: 'prototype'` replaced with getters.
+ *
+ * @param {object} self - The instance passed to autoBind, or a prototype
+ * @param {object} [options] - Same filters as autoBind (include/exclude/pattern/filter)
+ * @returns {object} The instance (for chaining)
+ */
+function unbind(self, options) {
+  options = normalizeOptions(arguments);
+  assertTarget(self, 'autoBind.unbind');
+  options = applyPresets(self, options);
+  restorePrototype(self, options);
+
+  const record = installed.get(self);
+  if (!record) return self;
+
+  const saved = replaced.get(self);
+  const methods = new Map();
+  for (const key of record.keys()) {
+    methods.set(key, saved && saved.has(key) ? self : findOwner(self, key));
+  }
+
+  for (const key of filterMethods(methods, options)) {
+    const descriptor = Object.getOwnPropertyDescriptor(self, key);
+    const value = record.get(key);
+    if (descriptor && (descriptor.value === value || descriptor.get === value)) {
+      // A pending debounced/throttled call would run after the method was unbound
+      if (timedFunctions.has(value)) value.cancel();
+      // Put back own function properties replaced with `own: true`
+      if (saved && saved.has(key)) Object.defineProperty(self, key, saved.get(key));
+      else delete self[key];
+    }
+    record.delete(key);
+    if (saved) saved.delete(key);
+  }
+
+  return self;
+}
+
+/**
+ * Get a Proxy of `self` that hands out stable bound methods without
+ * mutating `self`. Works with frozen, sealed and non-extensible objects.
+ *
+ * @param {object} self - The instance
+ * @param {object} [options] - Same options as autoBind
+ * @returns {object} The Proxy
+ *
+ * @example
+ *   class Money {
+ *     constructor(amount) {
+ *       this.amount = amount;
+ *       Object.freeze(this);
+ *       return autoBind.proxy(this);
+ *     }
+ *   }
+ */
+function proxy(self, options) {
+  options = normalizeOptions(arguments);
+  return autoBind(self, { ...options, mode: 'proxy' });
+}
+
+// ─── Extraction ─────────────────────────────────────────────────────────────
+
+/**
+ * Namespaces handed out by `extract`, per instance, binding plan and hooks
+ */
+const namespaces = new WeakMap();
+
+/**
+ * Bound functions handed out by `extract` (instance -> Map of key -> list of
+ * hooks and function), so a method keeps its identity whichever plan or
+ * namespace it is reached through
+ */
+const extractedMethods = new WeakMap();
+
+function extractMethod(self, key, options) {
+  let byKey = extractedMethods.get(self);
+  if (!byKey) {
+    byKey = new Map();
+    extractedMethods.set(self, byKey);
+  }
+
+  const fn = getMethod(findOwner(self, key), key);
+  // Drop functions bound to a prototype method that was replaced since
+  const entries = (byKey.get(key) || []).filter((entry) => boundFunctions.get(entry.value).original === fn);
+  const entry = entries.find((candidate) => matchesHooks(candidate.hooks, options));
+  if (entry) return entry.value;
+
+  const value = createBound(fn, self, key, options);
+  entries.push({ hooks: snapshotHooks(options), value });
+  if (entries.length > MAX_PLANS_PER_PROTOTYPE) entries.shift();
+  byKey.set(key, entries);
+  return value;
+}
+
+/**
+ * Get a frozen plain object holding bound methods of `self`, keyed by
+ * method name (Symbols included), without defining anything on `self`.
+ * Repeated calls with the same options return the same object, and a
+ * method's bound function stays the same for the same hooks. Unless
+ * hooks (`wrap`, `instrument`, `debounce`, ...) are given, methods autoBind
+ * already bound on the instance are reused as they are.
+ *
+ * @param {object} self - The instance
+ * @param {object} [options] - Same options as autoBind (`lazy`, `mode` and `own` don't apply)
+ * @returns {object} The frozen namespace
+ *
+ * @example
+ *   app.use(autoBind.extract(controller, { pattern: /^(get|post)/ }));
+ */
+function extract(self, options) {
+  options = normalizeOptions(arguments);
+  assertTarget(self, 'autoBind.extract');
+  options = applyPresets(self, options);
+  assertHooks(options, 'autoBind.extract');
+
+  const { methods, unknown } = resolvePlan(self, options);
+  reportUnknownNames(self, unknown, options);
+
+  const cached = findCached(namespaces, self, methods, options);
+  if (cached) return cached;
+
+  // Bindings already on the instance don't carry the requested hooks
+  const reuse = !hasHooks(options);
+  const namespace = {};
+  for (const key of methods) {
+    const own = reuse && Object.getOwnPropertyDescriptor(self, key);
+    namespace[key] = own && isBoundTo(own.value, self)
+      ? own.value
+      : extractMethod(self, key, options);
+  }
+
+  return addCached(namespaces, self, methods, options, Object.freeze(namespace));
+}
+
+// ─── Weak binding ───────────────────────────────────────────────────────────
+
+const COLLECTED_ACTIONS = ['ignore', 'throw'];
+
+/**
+ * Throw INVALID_OPTION for `weak` without runtime support or with a bad
+ * `onCollected`/`onLeak`
+ */
+function assertWeakOptions(options, api) {
+  if (typeof WeakRef === 'undefined' || typeof FinalizationRegistry === 'undefined') {
+    throw new AutoBindError('INVALID_OPTION', `${api}: weak requires WeakRef and FinalizationRegistry`);
+  }
+  if (options.onCollected !== undefined && !COLLECTED_ACTIONS.includes(options.onCollected)) {
+    throw new AutoBindError(
+      'INVALID_OPTION',
+      `${api}: onCollected must be 'ignore' or 'throw', got ${describeValue(options.onCollected)}`
+    );
+  }
+  if (options.onLeak !== undefined && typeof options.onLeak !== 'function') {
+    throw new AutoBindError(
+      'INVALID_OPTION',
+      `${api}: onLeak must be a function, got ${describeValue(options.onLeak)}`
+    );
+  }
+}
+
+/**
+ * A `WeakRef`-like handle on `self`, weak only when asked. Kept apart from
+ * the closures using it so they never capture `self` itself.
+ */
+function refTo(self, weak) {
+  return weak ? new WeakRef(self) : { deref: () => self };
+}
+
+/**
+ * Like `bindTo`, but the result reaches `self` only through a `WeakRef`.
+ * Once `self` is collected, calls do nothing (or throw with
+ * `onCollected: 'throw'`).
+ */
+function bindWeak(fn, self, key, onCollected) {
+  const ref = new WeakRef(self);
+  const message = `autoBind: \`${describeClass(self)}#${String(key)}\` was called after its ` +
+    'instance was garbage collected';
+
+  function weakBound(...args) {
+    const target = ref.deref();
+    if (target !== undefined) return fn.apply(target, args);
+    if (onCollected === 'throw') throw new AutoBindError('COLLECTED', message, { key });
+    return undefined;
+  }
+
+  Object.defineProperty(weakBound, 'name', { value: `bound ${fn.name}` });
+  boundFunctions.set(weakBound, {
+    get target() {
+      return ref.deref();
+    },
+    original: fn,
+  });
+  return weakBound;
+}
+
+/**
+ * Weakly bound methods per instance: `{ className, methods, onLeak }`,
+ * where `methods` maps names to WeakRefs of the installed functions. The
+ * record never references the instance, so it can outlive it.
+ */
+const weakBindings = new WeakMap();
+
+let leakRegistry = null;
+
+/**
+ * Called once an instance with weak bindings is collected. Bound methods
+ * that are still alive are referenced from elsewhere, typically listeners
+ * nobody removed.
+ */
+function reportLeaks({ className, methods, onLeak }) {
+  const keys = [...methods].filter(([, ref]) => ref.deref() !== undefined).map(([key]) => key);
+  if (!keys.length) return;
+
+  const message = `autoBind: a ${className} instance was garbage collected while ${keys.map(String).join(', ')} ` +
+    'were still referenced; remove the listeners when it is disposed';
+  if (onLeak) onLeak({ className, keys, message });
+  else if (isDevelopment()) console.warn(message);
+}
+
+function trackWeak(self, key, boundFn, onLeak) {
+  let record = weakBindings.get(self);
+  if (!record) {
+    record = { className: describeClass(self), methods: new Map(), onLeak };
+    weakBindings.set(self, record);
+    if (!leakRegistry) leakRegistry = new FinalizationRegistry(reportLeaks);
+    leakRegistry.register(self, record);
+  }
+  record.methods.set(key, new WeakRef(boundFn));
+}
+
+// ─── Call statistics ────────────────────────────────────────────────────────
+
+/**
+ * Counters of instrumented methods, per instance (key -> stats). Entries
+ * are created when a method is bound and mutated in place by its wrapper.
+ */
+const callStats = new WeakMap();
+
+function getMethodStats(self, key) {
+  let record = callStats.get(self);
+  if (!record) {
+    record = new Map();
+    callStats.set(self, record);
+  }
+  let entry = record.get(key);
+  if (!entry) {
+    entry = { calls: 0, errors: 0, totalDuration: 0, maxDuration: 0 };
+    record.set(key, entry);
+  }
+  return entry;
+}
+
+/**
+ * Wrap hook behind `instrument: true`. Async methods are timed until the
+ * returned promise settles; a rejection counts as an error.
+ */
+function instrument(fn, key, self) {
+  const entry = getMethodStats(self, key);
+
+  return (...args) => {
+    const start = performance.now();
+    entry.calls++;
+
+    const settle = (failed) => {
+      const duration = performance.now() - start;
+      if (failed) entry.errors++;
+      entry.totalDuration += duration;
+      if (duration > entry.maxDuration) entry.maxDuration = duration;
+    };
+
+    let result;
+    try {
+      result = fn(...args);
+    } catch (error) {
+      settle(true);
+      throw error;
+    }
+    if (!isThenable(result)) {
+      settle(false);
+      return result;
+    }
+    return result.then(
+      (value) => {
+        settle(false);
+        return value;
+      },
+      (error) => {
+        settle(true);
+        throw error;
+      }
+    );
+  };
+}
+
+/**
+ * Snapshot of the call statistics of an instance bound with
+ * `instrument: true`, keyed by method name. Methods that were bound but
+ * never called have `calls: 0`. Durations are in milliseconds.
+ *
+ * @param {object} self - The instance (or the Proxy returned in proxy mode)
+ * @returns {object} `{ [method]: { calls, errors, totalDuration, maxDuration } }`
+ */
+function stats(self) {
+  const snapshot = {};
+  const record = callStats.get(unwrapProxy(self));
+  if (record) {
+    for (const [key, entry] of record) snapshot[key] = { ...entry };
+  }
+  return snapshot;
+}
+
 /**
- * Get all method names from the prototype chain (excluding Object.prototype)
+ * Reset the call statistics of an instance to zero
+ *
+ * @param {object} self - The instance (or the Proxy returned in proxy mode)
+ * @returns {object} The instance (for chaining)
  */
-function getAllMethodNames(obj) {
-  const methods = new Set();
-  let proto = Object.getPrototypeOf(obj);
-
-  while (proto && proto !== Object.prototype) {
-    const keys = Object.getOwnPropertyNames(proto);
-    for (const key of keys) {
-      if (key === 'constructor') continue;
-      const descriptor = Object.getOwnPropertyDescriptor(proto, key);
-      if (descriptor && typeof descriptor.value === 'function') {
-        methods.add(key);
-      }
+function resetStats(self) {
+  const record = callStats.get(unwrapProxy(self));
+  if (record) {
+    for (const entry of record.values()) {
+      entry.calls = 0;
+      entry.errors = 0;
+      entry.totalDuration = 0;
+      entry.maxDuration = 0;
     }
+  }
+  return self;
+}
 
-    // Also handle Symbol-keyed methods
-    const symbols = Object.getOwnPropertySymbols(proto);
-    for (const sym of symbols) {
-      const descriptor = Object.getOwnPropertyDescriptor(proto, sym);
-      if (descriptor && typeof descriptor.value === 'function') {
-        methods.add(sym);
-      }
-    }
+// ─── Debounce and throttle ──────────────────────────────────────────────────
 
-    proto = Object.getPrototypeOf(proto);
+/** Options mapping method names to a delay or `{ wait, leading, trailing }` */
+const TIMING_OPTIONS = ['debounce', 'throttle'];
+
+/**
+ * Functions created by debounce/throttle, so `unbind` can cancel pending calls
+ */
+const timedFunctions = new WeakSet();
+
+/**
+ * Turn a delay or `{ wait, leading, trailing }` into timing options,
+ * throwing INVALID_OPTION (prefixed with `label`) for a bad delay
+ */
+function normalizeTiming(spec, label = 'autoBind') {
+  const timing = typeof spec === 'number' ? { wait: spec } : { ...spec };
+  if (typeof timing.wait !== 'number' || !(timing.wait >= 0)) {
+    throw new AutoBindError(
+      'INVALID_OPTION',
+      `${label}: expected a delay in milliseconds, got ${describeValue(timing.wait)}`
+    );
   }
+  return timing;
+}
 
-  return methods;
+/**
+ * Add `cancel` and `flush` to a timed function
+ */
+function withControls(timed, state, invoke) {
+  timed.cancel = () => {
+    clearTimeout(state.timer);
+    state.timer = null;
+    state.pendingArgs = null;
+  };
+  timed.flush = () => {
+    clearTimeout(state.timer);
+    state.timer = null;
+    if (state.pendingArgs) invoke();
+    return state.result;
+  };
+  timedFunctions.add(timed);
+  return timed;
 }
 
 /**
- * Filter methods based on options
+ * Delay calls to `fn` until `wait` ms have passed without another call.
+ * Calls `fn` on the leading and/or trailing edge of each burst.
+ */
+function debounce(fn, { wait, leading = false, trailing = true }) {
+  const state = { timer: null, pendingArgs: null, result: undefined };
+
+  const invoke = () => {
+    const args = state.pendingArgs;
+    state.pendingArgs = null;
+    state.result = fn(...args);
+  };
+
+  const expire = () => {
+    state.timer = null;
+    if (trailing && state.pendingArgs) invoke();
+    state.pendingArgs = null;
+  };
+
+  const debounced = (...args) => {
+    const idle = state.timer === null;
+    clearTimeout(state.timer);
+    state.timer = setTimeout(expire, wait);
+
+    if (leading && idle) state.result = fn(...args);
+    else state.pendingArgs = args;
+    return state.result;
+  };
+
+  return withControls(debounced, state, invoke);
+}
+
+/**
+ * Call `fn` at most once every `wait` ms, on the leading and/or trailing
+ * edge of each interval
  */
-function filterMethods(methods, options = {}) {
-  let filtered = [...methods];
+function throttle(fn, { wait, leading = true, trailing = true }) {
+  const state = { timer: null, pendingArgs: null, result: undefined };
+
+  const invoke = () => {
+    const args = state.pendingArgs;
+    state.pendingArgs = null;
+    state.result = fn(...args);
+  };
+
+  const expire = () => {
+    if (trailing && state.pendingArgs) {
+      invoke();
+      state.timer = setTimeout(expire, wait);
+    } else {
+      state.timer = null;
+      state.pendingArgs = null;
+    }
+  };
+
+  const throttled = (...args) => {
+    if (state.timer === null) {
+      if (leading) state.result = fn(...args);
+      else state.pendingArgs = args;
+      state.timer = setTimeout(expire, wait);
+    } else {
+      state.pendingArgs = args;
+    }
+    return state.result;
+  };
+
+  return withControls(throttled, state, invoke);
+}
 
-  // Remove built-in object methods
-  filtered = filtered.filter((m) => typeof m === 'symbol' || !BUILTIN_OBJECT_METHODS.has(m));
+// ─── Inspection ─────────────────────────────────────────────────────────────
 
-  // Include only specific methods
-  if (options.include) {
-    const includeSet = new Set(options.include);
-    filtered = filtered.filter((m) => includeSet.has(m));
+/**
+ * Why an instance property would stop autoBind from binding `key`, if at all
+ */
+function findInstanceConflict(self, key) {
+  const descriptor = Object.getOwnPropertyDescriptor(self, key);
+  const record = installed.get(self);
+  const value = record && record.get(key);
+  if (descriptor && value && (value === descriptor.value || value === descriptor.get)) {
+    return SKIP_REASONS.ALREADY_BOUND;
   }
 
-  // Exclude specific methods
-  if (options.exclude) {
-    const excludeSet = new Set(options.exclude);
-    filtered = filtered.filter((m) => !excludeSet.has(m));
+  const conflict = findConflict(self, key);
+  return conflict ? CONFLICT_REASONS[conflict.code] : null;
+}
+
+function ownerName(owner) {
+  const ctor = owner && Object.prototype.hasOwnProperty.call(owner, 'constructor') && owner.constructor;
+  return (ctor && ctor.name) || '(anonymous)';
+}
+
+function formatReport(report) {
+  const lines = [`${report.className}: ${report.bound.length} bound, ${report.skipped.length} skipped`];
+  for (const method of report.methods) {
+    const mark = method.bound ? '✓' : '✗';
+    const reason = method.reason ? ` — ${method.reason}` : '';
+    lines.push(`  ${mark} ${method.name} (${method.ownerName})${reason}`);
   }
+  return lines.join('\n');
+}
 
-  // Match pattern
-  if (options.pattern) {
-    filtered = filtered.filter(
-      (m) => typeof m === 'string' && options.pattern.test(m)
-    );
+/**
+ * Report which methods autoBind would bind on an instance and why the
+ * others would be skipped. Runs the same discovery and filtering as
+ * autoBind without mutating anything.
+ *
+ * @param {object} self - The class instance
+ * @param {object} [options] - Same options as autoBind
+ * @returns {object} Report with `methods`, `bound`, `skipped`, `toString()` and `toTable()`
+ *
+ * @example
+ *   console.log(String(autoBind.inspect(this, { pattern: /^handle/ })));
+ *   console.table(autoBind.inspect(this).toTable());
+ */
+function inspect(self, options) {
+  options = normalizeOptions(arguments);
+  assertTarget(self, 'autoBind.inspect');
+  options = applyPresets(self, options);
+
+  const stopAt = options && options.stopAt;
+  const ownMethods = options && options.own ? getOwnMethodNames(self) : new Map();
+  const withOwn = (methods) => new Map([...ownMethods, ...methods].filter(
+    ([key, owner]) => owner === self || !ownMethods.has(key)
+  ));
+  const allMethods = withOwn(getAllMethodNames(self));
+  const reachable = stopAt === undefined || stopAt === null
+    ? allMethods
+    : withOwn(getAllMethodNames(self, stopAt));
+  const reasons = new Map(
+    classifyMethods(reachable, options).map((entry) => [entry.key, entry.reason])
+  );
+
+  const methods = [...allMethods].map(([key, owner]) => {
+    let reason = reasons.has(key) ? reasons.get(key) : SKIP_REASONS.STOP_AT;
+    if (reason === null) reason = findInstanceConflict(self, key);
+    return {
+      key,
+      name: String(key),
+      owner,
+      ownerName: owner === self ? '(own)' : ownerName(owner),
+      bound: reason === null,
+      reason,
+    };
+  });
+
+  const report = {
+    className: describeClass(self),
+    methods,
+    bound: methods.filter((m) => m.bound).map((m) => m.key),
+    skipped: methods.filter((m) => !m.bound).map((m) => m.key),
+  };
+
+  Object.defineProperties(report, {
+    toString: {
+      value: () => formatReport(report),
+    },
+    toTable: {
+      value: () => methods.map((m) => ({
+        method: m.name,
+        definedBy: m.ownerName,
+        bound: m.bound,
+        reason: m.reason || '',
+      })),
+    },
+  });
+
+  return report;
+}
+
+autoBind.unbind = unbind;
+autoBind.inspect = inspect;
+autoBind.clearCache = clearCache;
+autoBind.configure = configure;
+autoBind.definePreset = definePreset;
+autoBind.isBound = isBound;
+autoBind.proxy = proxy;
+autoBind.original = original;
+autoBind.bindingState = bindingState;
+autoBind.stats = stats;
+autoBind.resetStats = resetStats;
+autoBind.guard = guard;
+autoBind.extract = extract;
+
+// ─── Detached this guard ────────────────────────────────────────────────────
+
+/** Wrappers installed on prototypes by `guard` (wrapper -> lookup of the original method) */
+const guardedMethods = new WeakMap();
+
+const DETACHED_ACTIONS = ['throw', 'warn'];
+
+function guardMethod(proto, owner, key, lookup, onDetached) {
+  const message = `autoBind: \`${ownerName(owner)}#${String(key)}\` was called detached; ` +
+    'bind it or include it in autoBind';
+
+  function guarded(...args) {
+    // `this` is undefined for a plain call, or e.g. the element for a DOM listener
+    if (!isObjectLike(this) || !Object.prototype.isPrototypeOf.call(proto, this)) {
+      if (onDetached !== 'warn') throw new AutoBindError('DETACHED_THIS', message, { key });
+      if (!warnedMessages.has(message)) {
+        warnedMessages.add(message);
+        console.warn(message);
+      }
+    }
+    return lookup().apply(this, args);
   }
 
-  return filtered;
+  Object.defineProperty(guarded, 'name', { value: lookup().name });
+  guardedMethods.set(guarded, lookup);
+  return guarded;
 }
 
 /**
- * Bind methods eagerly (standard mode)
+ * The prototypes whose methods `guard(Class)` covers: the class's own and
+ * its bases declared with `class` syntax, up to the first native or
+ * function-constructor base (DOM classes, `EventEmitter`, ...)
  */
-function bindEager(self, methods) {
-  for (const method of methods) {
-    const val = self[method];
-    if (typeof val === 'function') {
-      Object.defineProperty(self, method, {
-        value: val.bind(self),
+function guardablePrototypes(Class) {
+  const protos = new Set([Class.prototype]);
+  let proto = Object.getPrototypeOf(Class.prototype);
+  while (proto && proto !== Object.prototype) {
+    const ctor = Object.prototype.hasOwnProperty.call(proto, 'constructor') && proto.constructor;
+    if (typeof ctor !== 'function' || !isClass(ctor)) break;
+    protos.add(proto);
+    proto = Object.getPrototypeOf(proto);
+  }
+  return protos;
+}
+
+/**
+ * Development check for the methods autoBind leaves unbound. Wraps each
+ * prototype method that `autoBind(instance, options)` would skip, so that
+ * calling it with a `this` that isn't an instance throws (or warns) with
+ * the method's name instead of failing somewhere inside it. Builtins and
+ * methods beyond `stopAt` are left alone. Wrappers only go on
+ * `Class.prototype`, shadowing inherited methods, so base classes shared
+ * with other code keep their methods.
+ *
+ * Does nothing when `NODE_ENV` is `'production'`.
+ *
+ * @param {Function} Class - The class to guard
+ * @param {object} [options] - Same options as the class passes to autoBind
+ * @param {'throw'|'warn'} [options.onDetached] - `'warn'` logs once and calls the method
+ *   anyway (default `'throw'`)
+ * @returns {Function} The class
+ *
+ * @example
+ *   autoBind.guard(SearchBox, { pattern: /^handle/ });
+ *   // new SearchBox().render called detached ->
+ *   // AutoBindError: `SearchBox#render` was called detached; bind it or include it in autoBind
+ */
+function guard(Class, options) {
+  options = normalizeOptions(arguments);
+  if (!isDevelopment()) return Class;
+
+  if (typeof Class !== 'function' || !isObjectLike(Class.prototype)) {
+    throw new AutoBindError(
+      'INVALID_TARGET',
+      `autoBind.guard: expected a class, got ${describeValue(Class)}`,
+      { target: Class }
+    );
+  }
+  const onDetached = options && options.onDetached;
+  if (onDetached !== undefined && !DETACHED_ACTIONS.includes(onDetached)) {
+    throw new AutoBindError(
+      'INVALID_OPTION',
+      `autoBind.guard: onDetached must be 'throw' or 'warn', got ${describeValue(onDetached)}`
+    );
+  }
+
+  // An instance that runs no constructor code is enough to plan the bindings
+  const report = inspect(Object.create(Class.prototype), options);
+  const proto = Class.prototype;
+  const guardable = guardablePrototypes(Class);
+  for (const { key, owner, reason } of report.methods) {
+    if (reason === null || reason === SKIP_REASONS.BUILTIN || reason === SKIP_REASONS.STOP_AT) continue;
+    if (!guardable.has(owner)) continue;
+
+    const descriptor = Object.getOwnPropertyDescriptor(owner, key);
+    if (typeof descriptor.value !== 'function' || guardedMethods.has(descriptor.value)) continue;
+
+    if (owner === proto) {
+      if (!descriptor.configurable && !descriptor.writable) continue;
+      Object.defineProperty(proto, key, {
+        ...descriptor,
+        value: guardMethod(proto, owner, key, () => descriptor.value, onDetached),
+      });
+    } else if (Object.isExtensible(proto)) {
+      // Shadow inherited methods instead of changing base classes other code shares
+      Object.defineProperty(proto, key, {
+        value: guardMethod(proto, owner, key, () => getMethod(findOwner(proto, key), key), onDetached),
         writable: true,
         configurable: true,
         enumerable: false,
       });
     }
   }
+
+  return Class;
 }
 
+// ─── Plain objects ──────────────────────────────────────────────────────────
+
 /**
- * Bind methods lazily (bind on first access)
+ * autoBind for plain objects: binds function-valued own properties as well
+ * as prototype methods. Same as `autoBind(self, { ...options, own: true })`.
+ *
+ * @param {object} self - The object
+ * @param {object} [options] - Same options as autoBind
+ * @returns {object} The object
+ *
+ * @example
+ *   const service = autoBindObject({
+ *     name: 'users',
+ *     list() { return this.name; },
+ *   });
  */
-function bindLazy(self, methods) {
-  for (const method of methods) {
-    const proto = Object.getPrototypeOf(self);
-    const descriptor = Object.getOwnPropertyDescriptor(proto, method) ||
-      findDescriptorInChain(self, method);
+function autoBindObject(self, options) {
+  options = normalizeOptions(arguments);
+  return autoBind(self, { ...options, own: true });
+}
 
-    if (!descriptor || typeof descriptor.value !== 'function') continue;
+// ─── Static methods ─────────────────────────────────────────────────────────
 
-    const originalFn = descriptor.value;
+function isClass(fn) {
+  return /^class[\s{]/.test(Function.prototype.toString.call(fn));
+}
 
-    Object.defineProperty(self, method, {
-      configurable: true,
-      enumerable: false,
-      get() {
-        const boundFn = originalFn.bind(self);
-        // Replace getter with the bound value on first access
-        Object.defineProperty(self, method, {
-          value: boundFn,
-          writable: true,
-          configurable: true,
-          enumerable: false,
-        });
-        return boundFn;
-      },
-    });
-  }
+/** Static properties holding classes are never bound, so `new` keeps working */
+function isNotClass(name, fn) {
+  return !isClass(fn);
 }
 
-function findDescriptorInChain(obj, key) {
-  let proto = Object.getPrototypeOf(obj);
-  while (proto && proto !== Object.prototype) {
-    const desc = Object.getOwnPropertyDescriptor(proto, key);
-    if (desc) return desc;
+/**
+ * Number of constructors between `Class` and `stopAt` (default: the end of
+ * the class hierarchy), used as a depth for `stopAt`
+ */
+function staticDepth(Class, stopAt) {
+  let depth = 0;
+  let proto = Object.getPrototypeOf(Class);
+  while (proto && proto !== Function.prototype && proto !== stopAt) {
+    depth++;
     proto = Object.getPrototypeOf(proto);
   }
-  return undefined;
+  return depth;
 }
 
 /**
- * Main autoBind function
+ * Bind the static methods of a class to the class, including statics
+ * inherited from parent classes (`class Sub extends Base`, or
+ * `Object.setPrototypeOf(Sub, Base)`). Static properties holding classes
+ * are left alone.
  *
- * @param {object} self - The class instance (usually `this`)
- * @param {object} [options] - Configuration options
- * @param {string[]} [options.include] - Only bind these methods
- * @param {string[]} [options.exclude] - Don't bind these methods
- * @param {RegExp} [options.pattern] - Only bind methods matching this regex
- * @param {boolean} [options.lazy] - Use lazy binding (bind on first access)
- * @returns {object} The instance (for chaining)
+ * @param {Function} Class - The class
+ * @param {object} [options] - Same options as autoBind; `stopAt` is a parent
+ *   class (or a depth), and `lazy: 'prototype'` falls back to `lazy: true`
+ * @returns {Function} The class
+ *
+ * @example
+ *   router.get('/', autoBindStatic(Controller).list);
  */
-function autoBind(self, options) {
-  // Support autoBind(this, 'method1', 'method2') shorthand
-  if (typeof options === 'string') {
-    const methodNames = [options, ...Array.from(arguments).slice(2)];
-    options = { include: methodNames };
+function autoBindStatic(Class, options) {
+  options = normalizeOptions(arguments);
+  if (typeof Class !== 'function') {
+    throw new AutoBindError(
+      'INVALID_TARGET',
+      `autoBindStatic: expected a class, got ${describeValue(Class)}`,
+      { target: Class }
+    );
   }
 
-  const allMethods = getAllMethodNames(self);
-  const methods = filterMethods(allMethods, options);
-
-  if (options && options.lazy) {
-    bindLazy(self, methods);
-  } else {
-    bindEager(self, methods);
-  }
+  options = applyPresets(Class, options) || {};
+  const stopAt = typeof options.stopAt === 'number' ? options.stopAt : staticDepth(Class, options.stopAt);
 
-  return self;
+  return autoBind(Class, {
+    ...options,
+    own: true,
+    stopAt,
+    lazy: options.lazy === 'prototype' ? true : options.lazy,
+    filter: [isNotClass, ...toList(options.filter)],
+  });
 }
 
 // ─── React-aware variant ────────────────────────────────────────────────────
@@ -187,12 +2081,12 @@ const REACT_LIFECYCLE_METHODS = new Set([
   'componentWillUnmount',
   'shouldComponentUpdate',
   'getSnapshotBeforeUpdate',
-  'getDerivedStateFromProps',
-  'getDerivedStateFromError',
   'componentDidCatch',
+  'getChildContext',
   'UNSAFE_componentWillMount',
   'UNSAFE_componentWillReceiveProps',
   'UNSAFE_componentWillUpdate',
+  // Legacy (createReactClass and pre-16.3 components)
   'getDefaultProps',
   'getInitialState',
   'componentWillMount',
@@ -201,25 +2095,202 @@ const REACT_LIFECYCLE_METHODS = new Set([
 ]);
 
 /**
- * React-aware autoBind. Skips React lifecycle methods.
+ * Static lifecycles. React calls them on the class, so they are skipped
+ * when binding statics with `autoBindStatic(Class, { preset: 'react' })`.
+ */
+const REACT_STATIC_LIFECYCLE_METHODS = new Set([
+  'getDerivedStateFromProps',
+  'getDerivedStateFromError',
+]);
+
+/**
+ * The `Component`/`PureComponent` API, skipped even when no React base
+ * class is found in the chain (e.g. a renamed or wrapped base)
+ */
+const REACT_COMPONENT_METHODS = new Set([
+  'setState',
+  'forceUpdate',
+  'isMounted',
+  'replaceState',
+]);
+
+/**
+ * Find the React base prototype in the chain of `self`: the first one
+ * owning `isReactComponent` (`Component.prototype`, or
+ * `PureComponent.prototype` which copies it). For a class, as passed by
+ * `autoBindStatic`, find the base class itself.
+ */
+function findReactBase(self) {
+  if (typeof self === 'function') {
+    let ctor = Object.getPrototypeOf(self);
+    while (ctor && ctor !== Function.prototype) {
+      if (ctor.prototype && Object.prototype.hasOwnProperty.call(ctor.prototype, 'isReactComponent')) return ctor;
+      ctor = Object.getPrototypeOf(ctor);
+    }
+    return undefined;
+  }
+
+  let proto = Object.getPrototypeOf(self);
+  while (proto && proto !== Object.prototype) {
+    if (Object.prototype.hasOwnProperty.call(proto, 'isReactComponent')) return proto;
+    proto = Object.getPrototypeOf(proto);
+  }
+  return undefined;
+}
+
+definePreset('react', {
+  exclude: [...REACT_LIFECYCLE_METHODS, ...REACT_STATIC_LIFECYCLE_METHODS, ...REACT_COMPONENT_METHODS],
+  resolve: (self) => ({ stopAt: findReactBase(self) }),
+});
+
+/**
+ * React-aware autoBind. Skips React lifecycle methods and stops walking at
+ * the React base class, so `setState`, `forceUpdate` and the rest of the
+ * `Component` API are not bound.
  *
  * @param {object} self - The component instance
- * @param {object} [options] - Same options as autoBind (exclude is merged)
+ * @param {object} [options] - Same options as autoBind (exclude is merged);
+ *   `stopAt` overrides the detected base
  * @returns {object} The instance
  */
 function autoBindReact(self, options = {}) {
-  const exclude = [
-    ...(options.exclude || []),
-    ...REACT_LIFECYCLE_METHODS,
-  ];
-  return autoBind(self, { ...options, exclude });
+  return autoBind(self, { ...options, preset: ['react', ...toList(options.preset)] });
+}
+
+// ─── Custom Elements variant ────────────────────────────────────────────────
+
+const ELEMENT_LIFECYCLE_METHODS = new Set([
+  // Custom Elements
+  'connectedCallback',
+  'disconnectedCallback',
+  'adoptedCallback',
+  'attributeChangedCallback',
+  'connectedMoveCallback',
+  // Form-associated custom elements
+  'formAssociatedCallback',
+  'formDisabledCallback',
+  'formResetCallback',
+  'formStateRestoreCallback',
+  // Lit
+  'render',
+  'update',
+  'updated',
+  'firstUpdated',
+  'shouldUpdate',
+  'willUpdate',
+  'createRenderRoot',
+  'scheduleUpdate',
+  'performUpdate',
+  'getUpdateComplete',
+]);
+
+/**
+ * Platform and framework base classes, matched by name so that stub
+ * classes work outside the browser
+ */
+const ELEMENT_BASE_CLASSES = new Set([
+  'EventTarget',
+  'Node',
+  'Element',
+  'HTMLElement',
+  'SVGElement',
+  'ReactiveElement',
+  'LitElement',
+  'UpdatingElement',
+  'PolymerElement',
+  'FASTElement',
+]);
+
+function isNativeClass(ctor) {
+  return typeof ctor === 'function' &&
+    /\{\s*\[native code\]\s*\}\s*$/.test(Function.prototype.toString.call(ctor));
+}
+
+/**
+ * Find the first platform or framework base prototype in the chain of `self`
+ */
+function findElementBase(self) {
+  let proto = Object.getPrototypeOf(self);
+  while (proto && proto !== Object.prototype) {
+    const ctor = Object.prototype.hasOwnProperty.call(proto, 'constructor') && proto.constructor;
+    if (ctor && (ELEMENT_BASE_CLASSES.has(ctor.name) || isNativeClass(ctor))) return proto;
+    proto = Object.getPrototypeOf(proto);
+  }
+  return undefined;
+}
+
+definePreset('element', {
+  exclude: [...ELEMENT_LIFECYCLE_METHODS],
+  resolve: (self) => ({ stopAt: findElementBase(self) }),
+});
+
+/**
+ * Custom Elements-aware autoBind. Skips Custom Elements and Lit lifecycle
+ * callbacks and stops walking at the platform/framework base class
+ * (`HTMLElement`, `LitElement`, ...), so inherited DOM methods are not bound.
+ *
+ * @param {object} self - The element instance
+ * @param {object} [options] - Same options as autoBind; `stopAt` overrides the detected base
+ * @returns {object} The instance
+ */
+function autoBindElement(self, options = {}) {
+  return autoBind(self, { ...options, preset: ['element', ...toList(options.preset)] });
+}
+
+// ─── EventEmitter preset ────────────────────────────────────────────────────
+
+const EVENT_EMITTER_METHODS = [
+  'on',
+  'once',
+  'off',
+  'emit',
+  'addListener',
+  'removeListener',
+  'removeAllListeners',
+  'prependListener',
+  'prependOnceListener',
+  'listeners',
+  'rawListeners',
+  'listenerCount',
+  'eventNames',
+  'setMaxListeners',
+  'getMaxListeners',
+];
+
+/**
+ * Find the EventEmitter base prototype in the chain of `self`, matched by name
+ */
+function findEventEmitterBase(self) {
+  let proto = Object.getPrototypeOf(self);
+  while (proto && proto !== Object.prototype) {
+    const ctor = Object.prototype.hasOwnProperty.call(proto, 'constructor') && proto.constructor;
+    if (ctor && ctor.name === 'EventEmitter') return proto;
+    proto = Object.getPrototypeOf(proto);
+  }
+  return undefined;
 }
 
+definePreset('eventemitter', {
+  exclude: EVENT_EMITTER_METHODS,
+  resolve: (self) => ({ stopAt: findEventEmitterBase(self) }),
+});
+
 // ─── Decorator ──────────────────────────────────────────────────────────────
 
 /**
- * Class decorator: @boundClass
- * Method decorator: @bound
+ * Detect the TC39 standard (2023) decorator protocol, which passes
+ * `(value, context)` instead of the legacy `(target, key, descriptor)`.
+ */
+function isDecoratorContext(context) {
+  return context !== null && typeof context === 'object' && typeof context.kind === 'string';
+}
+
+/**
+ * Class decorator: @boundClass, or @boundClass({ statics: true, ...options })
+ * Method decorator: @bound, or @bound({ wrap, onError })
+ * Debounce/throttle decorators: @debounced(ms), @throttled(ms, { leading, trailing })
+ *
+ * Both work with legacy (`experimentalDecorators`) and standard decorators.
  *
  * Usage:
  *   @boundClass
@@ -230,12 +2301,26 @@ function autoBindReact(self, options = {}) {
  *     handleClick() { ... }
  *   }
  */
-function boundClass(target) {
+function boundClass(target, context) {
+  // @boundClass({ statics: true, ...autoBindOptions })
+  if (typeof target !== 'function') {
+    const options = target || {};
+    return (value, ctx) => decorateClass(value, ctx, options);
+  }
+  return decorateClass(target, context, {});
+}
+
+function decorateClass(target, context, options) {
+  if (isDecoratorContext(context) && context.kind !== 'class') {
+    throw new AutoBindError('INVALID_DECORATOR', '@boundClass can only be applied to classes');
+  }
+
+  const { statics, ...bindOptions } = options;
   const original = target;
 
   const wrapped = function (...args) {
     const instance = new original(...args);
-    autoBind(instance);
+    autoBind(instance, bindOptions);
     return instance;
   };
 
@@ -250,39 +2335,138 @@ function boundClass(target) {
     if (desc) Object.defineProperty(wrapped, key, desc);
   }
 
+  if (statics) autoBindStatic(wrapped);
+
   return wrapped;
 }
 
+/**
+ * Prototype getters installed by the legacy form of the method decorators
+ */
+const decoratorGetters = new WeakSet();
+
 /**
  * Method decorator
  */
 function bound(target, key, descriptor) {
+  // @bound({ wrap, onError }): legacy and standard decorators always pass a key or context
+  if (key === undefined) {
+    const options = target || {};
+    assertHooks(options, '@bound');
+    return (value, ctx, desc) => decorateMethod(value, ctx, desc, options);
+  }
+  return decorateMethod(target, key, descriptor, {});
+}
+
+function decorateMethod(target, key, descriptor, options, api = '@bound') {
+  if (isDecoratorContext(key)) {
+    return boundStandard(target, key, options, api);
+  }
+
   if (!descriptor || typeof descriptor.value !== 'function') {
-    throw new TypeError('@bound can only be applied to methods');
+    throw new AutoBindError('INVALID_DECORATOR', `${api} can only be applied to methods`);
   }
 
   const fn = descriptor.value;
 
+  const get = function () {
+    // Only define on the instance, not the prototype
+    if (this === target) {
+      return fn;
+    }
+
+    const boundFn = createBound(fn, this, key, options);
+    defineBound(this, key, boundFn);
+    return boundFn;
+  };
+  decoratorGetters.add(get);
+
   return {
     configurable: true,
     enumerable: false,
-    get() {
-      // Only define on the instance, not the prototype
-      if (this === target) {
-        return fn;
-      }
+    get,
+  };
+}
 
-      const boundFn = fn.bind(this);
-      Object.defineProperty(this, key, {
-        value: boundFn,
-        writable: true,
-        configurable: true,
-        enumerable: false,
-      });
-      return boundFn;
-    },
+/**
+ * Standard decorator form of @bound. Methods can't be replaced by getters
+ * here, so the bound function is installed by an initializer that runs
+ * for every instance (or once on the class for static methods).
+ */
+function boundStandard(fn, context, options, api) {
+  if (context.kind !== 'method' || typeof fn !== 'function') {
+    throw new AutoBindError('INVALID_DECORATOR', `${api} can only be applied to methods`);
+  }
+  if (context.private) {
+    throw new AutoBindError('INVALID_DECORATOR', `${api} cannot be applied to private methods`);
+  }
+
+  const key = context.name;
+
+  context.addInitializer(function () {
+    // A subclass override wins, just like with the legacy prototype getter
+    if (this[key] !== fn) return;
+
+    defineBound(this, key, createBound(fn, this, key, options));
+  });
+}
+
+/**
+ * Method decorator that binds the method and debounces it per instance.
+ * The bound function has `cancel()` and `flush()`.
+ *
+ * @param {number} wait - Delay in milliseconds
+ * @param {object} [options] - `{ leading, trailing }`; trailing only by default
+ */
+function debounced(wait, options) {
+  return timingDecorator('debounce', wait, options);
+}
+
+/**
+ * Method decorator that binds the method and throttles it per instance.
+ * The bound function has `cancel()` and `flush()`.
+ *
+ * @param {number} wait - Interval in milliseconds
+ * @param {object} [options] - `{ leading, trailing }`; both by default
+ */
+function throttled(wait, options) {
+  return timingDecorator('throttle', wait, options);
+}
+
+function timingDecorator(kind, wait, options) {
+  const api = kind === 'debounce' ? '@debounced' : '@throttled';
+  const timing = normalizeTiming({ ...options, wait }, api);
+
+  return (value, ctx, desc) => {
+    const key = isDecoratorContext(ctx) ? ctx.name : ctx;
+    return decorateMethod(value, ctx, desc, { [kind]: { [key]: timing } }, api);
   };
 }
 
 export default autoBind;
-export { autoBind, autoBindReact, boundClass, bound };
+export {
+  autoBind,
+  autoBindReact,
+  autoBindElement,
+  autoBindObject,
+  autoBindStatic,
+  definePreset,
+  boundClass,
+  bound,
+  debounced,
+  throttled,
+  unbind,
+  proxy,
+  extract,
+  clearCache,
+  configure,
+  inspect,
+  isBound,
+  bindingState,
+  original,
+  stats,
+  resetStats,
+  guard,
+  AutoBindError,
+  SKIP_REASONS,
+};
@@ -0,0 +1,142 @@
+/**
+ * Type-level tests for index.d.ts. Checked by `npm run test:types`; every
+ * `@ts-expect-error` line must fail to compile.
+ */
+
+import autoBind, {
+  autoBindReact,
+  autoBindObject,
+  autoBindStatic,
+  unbind,
+  proxy,
+  extract,
+  inspect,
+  guard,
+  AutoBindOptions,
+  MethodKeys,
+  InspectReport,
+  BoundMethods,
+} from './index';
+
+type Equal<A, B> = (<V>() => V extends A ? 1 : 2) extends <V>() => V extends B ? 1 : 2 ? true : false;
+function assertType<T extends true>(): T | void {}
+
+const onKey = Symbol('onKey');
+
+class Button {
+  label = 'ok';
+  count = 0;
+
+  constructor() {
+    // Names are checked against `this` in a constructor
+    autoBind(this);
+    autoBind(this, { include: ['handleClick', 'handle*', /^on/] });
+    autoBind(this, { exclude: ['render', onKey], pattern: 'handle?lick' });
+    autoBind(this, 'handleClick', 'render');
+
+    // @ts-expect-error - typo
+    autoBind(this, { include: ['handleClik'] });
+    // @ts-expect-error - not a method
+    autoBind(this, { exclude: ['label'] });
+    // @ts-expect-error - typo in the shorthand
+    autoBind(this, 'handleClik');
+  }
+
+  handleClick() {
+    return this.label;
+  }
+
+  render() {}
+
+  [onKey]() {}
+}
+
+// ─── MethodKeys ─────────────────────────────────────────────────────────────
+
+assertType<Equal<MethodKeys<Button>, 'handleClick' | 'render' | typeof onKey>>();
+assertType<Equal<MethodKeys<{ a: () => void; b?: () => void; c: string }>, 'a' | 'b'>>();
+assertType<Equal<MethodKeys<any>, string | symbol>>();
+
+// ─── Options ────────────────────────────────────────────────────────────────
+
+const button = new Button();
+
+assertType<Equal<ReturnType<typeof autoBind<Button>>, Button>>();
+const bound: Button = autoBind(button, { exclude: ['render'], lazy: true });
+
+// @ts-expect-error - typo
+autoBind(button, { exclude: ['rendr'] });
+// @ts-expect-error - not a method
+autoBind(button, 'count');
+
+const typed: AutoBindOptions<Button> = {
+  include: ['handleClick', onKey, 'handle*', /click/i],
+  debounce: { handleClick: 100 },
+  throttle: { render: { wait: 16, trailing: false } },
+};
+autoBind(button, typed);
+
+// @ts-expect-error - not a method
+const badInclude: AutoBindOptions<Button> = { include: ['label'] };
+// @ts-expect-error - not a method
+const badDebounce: AutoBindOptions<Button> = { debounce: { count: 100 } };
+
+// Untyped options and instances accept any name
+const loose: AutoBindOptions = { include: ['anything'] };
+autoBind(button, loose);
+const anyInstance: any = {};
+autoBind(anyInstance, { include: ['anything'] });
+autoBind(button, { include: ['handle' + 'Click'] });
+
+// Generic wrappers pass options through
+function bindAll<T extends object>(self: T, options?: AutoBindOptions<T>): T {
+  return autoBind(self, options);
+}
+bindAll(button, { include: ['handleClick'] });
+
+// ─── Variants ───────────────────────────────────────────────────────────────
+
+unbind(button, 'handleClick');
+proxy(button, { include: ['render'] });
+autoBindReact(button, { exclude: ['handleClick'] });
+const report: InspectReport = inspect(button, { include: ['handleClick'] });
+
+// @ts-expect-error - typo
+unbind(button, 'handleClik');
+// @ts-expect-error - typo
+autoBindReact(button, { exclude: ['rendr'] });
+
+const handlers = autoBindObject({ greet() {}, name: 'x' }, { include: ['greet'] });
+handlers.greet();
+// @ts-expect-error - not a method
+autoBindObject({ greet() {}, name: 'x' }, 'name');
+
+class Controller {
+  static list() {}
+  static version = 1;
+}
+autoBindStatic(Controller, 'list');
+// @ts-expect-error - not a static method
+autoBindStatic(Controller, 'version');
+
+autoBind(button, { weak: true, onCollected: 'throw', onLeak: ({ className, keys }) => [className, keys] });
+// @ts-expect-error - not an onCollected action
+autoBind(button, { weak: true, onCollected: 'warn' });
+
+const methods = extract(button, { pattern: /^handle/ });
+assertType<Equal<typeof methods, BoundMethods<Button>>>();
+assertType<Equal<keyof typeof methods, 'handleClick' | 'render' | typeof onKey>>();
+const label: string = methods.handleClick();
+const renderOnly = extract(button, 'render');
+assertType<Equal<keyof typeof renderOnly, 'render'>>();
+// @ts-expect-error - typo
+extract(button, 'handleClik');
+
+const Guarded: typeof Button = guard(Button, { pattern: /^handle/, onDetached: 'warn' });
+guard(Button, 'handleClick');
+// @ts-expect-error - typo
+guard(Button, { include: ['handleClik'] });
+// @ts-expect-error - not a class
+guard(button);
+
+export { Guarded, bound, badInclude, badDebounce, report };
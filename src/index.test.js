@@ -1,5 +1,28 @@
 const autoBind = require('../src/index.cjs');
-const { autoBindReact, boundClass, bound } = require('../src/index.cjs');
+const {
+  autoBindReact,
+  autoBindElement,
+  autoBindObject,
+  autoBindStatic,
+  definePreset,
+  boundClass,
+  bound,
+  debounced,
+  throttled,
+  unbind,
+  proxy,
+  extract,
+  clearCache,
+  configure,
+  inspect,
+  isBound,
+  bindingState,
+  original,
+  stats,
+  resetStats,
+  guard,
+  AutoBindError,
+} = require('../src/index.cjs');
 
 // ─── Basic binding ──────────────────────────────────────────────────────────
 
@@ -84,6 +107,106 @@ describe('autoBind', () => {
   });
 });
 
+// ─── Idempotency ────────────────────────────────────────────────────────────
+
+describe('idempotent binding', () => {
+  class Base {
+    constructor() {
+      this.name = 'base';
+      autoBind(this);
+    }
+    getName() { return this.name; }
+  }
+  class Child extends Base {
+    constructor() {
+      super();
+      this.name = 'child';
+      this.first = this.getName;
+      autoBind(this);
+    }
+    other() {}
+  }
+
+  test('base and subclass constructors both binding keeps the first binding', () => {
+    const child = new Child();
+    expect(child.getName).toBe(child.first);
+    expect(child.getName()).toBe('child');
+    expect(original(child.getName)).toBe(Base.prototype.getName);
+  });
+
+  test('binding twice does not wrap again', () => {
+    const child = new Child();
+    const before = child.other;
+    autoBind(child);
+    autoBind(child, { lazy: true });
+    expect(child.other).toBe(before);
+  });
+
+  test('lazy then eager binding keeps the lazily bound function', () => {
+    class Foo {
+      method() {}
+    }
+    const foo = autoBind(new Foo(), { lazy: true });
+    const lazy = foo.method;
+    autoBind(foo);
+    expect(foo.method).toBe(lazy);
+  });
+
+  test('rebinds a function bound to another instance', () => {
+    class Foo {
+      constructor(name) { this.name = name; }
+      getName() { return this.name; }
+    }
+    const a = autoBind(new Foo('a'));
+    const b = new Foo('b');
+    Object.defineProperty(b, 'getName', { value: a.getName, writable: true, configurable: true });
+    autoBind(b);
+    expect(b.getName).not.toBe(a.getName);
+  });
+
+  test('isBound() and original()', () => {
+    class Foo {
+      method() {}
+    }
+    const foo = autoBind(new Foo());
+    const plain = () => {};
+    expect(isBound(foo.method)).toBe(true);
+    expect(isBound(Foo.prototype.method)).toBe(false);
+    expect(isBound(Foo.prototype.method.bind(foo))).toBe(false);
+    expect(original(foo.method)).toBe(Foo.prototype.method);
+    expect(original(plain)).toBe(plain);
+    expect(autoBind.isBound).toBe(isBound);
+    expect(autoBind.original).toBe(original);
+  });
+
+  test('recognises functions bound by the decorators', () => {
+    class Foo {
+      getName() {}
+    }
+    const descriptor = Object.getOwnPropertyDescriptor(Foo.prototype, 'getName');
+    Object.defineProperty(Foo.prototype, 'getName', bound(Foo.prototype, 'getName', descriptor));
+    const foo = new Foo();
+    expect(isBound(foo.getName)).toBe(true);
+    expect(original(foo.getName)).toBe(descriptor.value);
+  });
+
+  test('isBound() with a target and bindingState()', () => {
+    class Foo {
+      a() {}
+      b() {}
+      c() {}
+    }
+    const foo = autoBind(new Foo(), 'a');
+    autoBind(foo, { include: ['b'], lazy: true });
+    expect(isBound(foo.a, foo)).toBe(true);
+    expect(isBound(foo.a, new Foo())).toBe(false);
+    expect(bindingState(foo, 'b')).toBe('lazy');
+    expect(bindingState(foo, 'c')).toBe(null);
+    expect(bindingState(foo, 'a')).toBe('bound');
+    expect(autoBind.bindingState).toBe(bindingState);
+  });
+});
+
 // ─── Options ────────────────────────────────────────────────────────────────
 
 describe('autoBind options', () => {
@@ -112,78 +235,1778 @@ describe('autoBind options', () => {
       b() { return this.name; }
     }
     const foo = new Foo();
-    const { a, b } = foo;
-    expect(a()).toBe('foo');
-    expect(() => b()).toThrow();
+    const { a, b } = foo;
+    expect(a()).toBe('foo');
+    expect(() => b()).toThrow();
+  });
+
+  test('pattern: only binds methods matching regex', () => {
+    class Foo {
+      constructor() {
+        this.name = 'foo';
+        autoBind(this, { pattern: /^handle/ });
+      }
+      handleClick() { return this.name; }
+      handleSubmit() { return this.name; }
+      otherMethod() { return this.name; }
+    }
+    const foo = new Foo();
+    const { handleClick, handleSubmit, otherMethod } = foo;
+    expect(handleClick()).toBe('foo');
+    expect(handleSubmit()).toBe('foo');
+    expect(() => otherMethod()).toThrow();
+  });
+
+  test('pattern: keeps Symbol-keyed methods whose description matches', () => {
+    const handleKey = Symbol('handleKey');
+    const other = Symbol('other');
+    class Foo {
+      constructor() { autoBind(this, { pattern: /^handle/ }); }
+      handleClick() {}
+      [handleKey]() {}
+      [other]() {}
+    }
+    expect(Reflect.ownKeys(new Foo())).toEqual(['handleClick', handleKey]);
+  });
+
+  test('pattern: accepts a list mixing globs, regexes and Symbols', () => {
+    const sym = Symbol('sym');
+    class Foo {
+      constructor() { autoBind(this, { pattern: ['handle*', /^on[A-Z]/, sym] }); }
+      handleClick() {}
+      onSubmit() {}
+      once() {}
+      [sym]() {}
+      other() {}
+    }
+    expect(Reflect.ownKeys(new Foo())).toEqual(['handleClick', 'onSubmit', sym]);
+  });
+
+  test('globs: `*` matches any run of characters, `?` exactly one', () => {
+    class Foo {
+      on() {}
+      onA() {}
+      onAB() {}
+      'a.b'() {}
+      axb() {}
+    }
+    const keys = (pattern) => Object.getOwnPropertyNames(autoBind(new Foo(), { pattern }));
+    expect(keys('on?*')).toEqual(['onA', 'onAB']);
+    expect(keys('on?')).toEqual(['onA']);
+    expect(keys('a?b')).toEqual(['a.b', 'axb']);
+    expect(keys('a.*')).toEqual(['a.b']);
+  });
+
+  test('include/exclude: accept globs, regexes and Symbol descriptions', () => {
+    const sym = Symbol('handleKey');
+    class Foo {
+      handleA() {}
+      handleB() {}
+      [sym]() {}
+      other() {}
+    }
+    expect(Reflect.ownKeys(autoBind(new Foo(), { include: ['handle*'] })))
+      .toEqual(['handleA', 'handleB', sym]);
+    expect(Reflect.ownKeys(autoBind(new Foo(), { exclude: [/^handle/] }))).toEqual(['other']);
+    expect(Reflect.ownKeys(autoBind(new Foo(), { include: ['handleKey'] }))).toEqual([sym]);
+  });
+
+  test('pattern: global regexes match consistently', () => {
+    class Foo {
+      handleA() {}
+      handleB() {}
+    }
+    expect(Object.getOwnPropertyNames(autoBind(new Foo(), { pattern: /handle/g })))
+      .toEqual(['handleA', 'handleB']);
+  });
+
+  test('filter: decides per method with name, function and owner', () => {
+    const calls = [];
+    class Base {
+      a() { return this.name; }
+    }
+    class Foo extends Base {
+      constructor() {
+        super();
+        this.name = 'foo';
+        autoBind(this, {
+          filter(name, fn, owner) {
+            calls.push([name, fn, owner]);
+            return owner === Foo.prototype;
+          },
+        });
+      }
+      b() { return this.name; }
+    }
+    const foo = new Foo();
+    const { a, b } = foo;
+    expect(b()).toBe('foo');
+    expect(() => a()).toThrow();
+    expect(calls).toEqual([
+      ['b', Foo.prototype.b, Foo.prototype],
+      ['a', Base.prototype.a, Base.prototype],
+    ]);
+  });
+
+  test('filter: composes with include/exclude/pattern', () => {
+    class Foo {
+      constructor() {
+        autoBind(this, {
+          pattern: /^handle/,
+          exclude: ['handleB'],
+          filter: (name) => name !== 'handleC',
+        });
+      }
+      handleA() {}
+      handleB() {}
+      handleC() {}
+      other() {}
+    }
+    expect(Object.getOwnPropertyNames(new Foo())).toEqual(['handleA']);
+  });
+
+  test('stopAt: stops before a base class', () => {
+    class Framework {
+      internal() {}
+    }
+    class Base extends Framework {
+      shared() {}
+    }
+    class Foo extends Base {
+      own() {}
+    }
+    expect(Object.getOwnPropertyNames(autoBind(new Foo(), { stopAt: Framework })))
+      .toEqual(['own', 'shared']);
+    expect(Object.getOwnPropertyNames(autoBind(new Foo(), { stopAt: Base.prototype })))
+      .toEqual(['own']);
+  });
+
+  test('stopAt: limits the depth of the walk', () => {
+    class Base {
+      shared() {}
+    }
+    class Foo extends Base {
+      own() {}
+    }
+    expect(Object.getOwnPropertyNames(autoBind(new Foo(), { stopAt: 1 }))).toEqual(['own']);
+    expect(Object.getOwnPropertyNames(autoBind(new Foo(), { stopAt: 0 }))).toEqual([]);
+  });
+
+  test('stopAt: a base class overridden below it still binds the override', () => {
+    class Base {
+      method() { return 'base'; }
+    }
+    class Foo extends Base {
+      method() { return 'foo'; }
+    }
+    const foo = autoBind(new Foo(), { stopAt: Base });
+    const { method } = foo;
+    expect(method()).toBe('foo');
+  });
+
+  test('shorthand: autoBind(this, "method1", "method2")', () => {
+    class Foo {
+      constructor() {
+        this.name = 'foo';
+        autoBind(this, 'a', 'b');
+      }
+      a() { return this.name; }
+      b() { return this.name; }
+      c() { return this.name; }
+    }
+    const foo = new Foo();
+    const { a, b, c } = foo;
+    expect(a()).toBe('foo');
+    expect(b()).toBe('foo');
+    expect(() => c()).toThrow();
+  });
+});
+
+// ─── Strict mode ────────────────────────────────────────────────────────────
+
+describe('strict mode', () => {
+  class Form {
+    handleClick() {}
+    onSubmit() {}
+  }
+
+  afterEach(() => {
+    configure({ strict: false });
+    jest.restoreAllMocks();
+  });
+
+  test('throws for unknown names with suggestions', () => {
+    expect(() => autoBind(new Form(), { include: ['handelClick'], strict: true })).toThrow(
+      'autoBind: "handelClick" in include does not match any method of Form. Did you mean "handleClick"?'
+    );
+    expect(() => autoBind(new Form(), { exclude: ['onSumbit'], strict: true })).toThrow(
+      '"onSumbit" in exclude'
+    );
+  });
+
+  test('applies to the shorthand through the global default', () => {
+    configure({ strict: true });
+    expect(() => autoBind(new Form(), 'handelClick')).toThrow('Did you mean "handleClick"?');
+    expect(() => autoBind(new Form(), 'handleClick')).not.toThrow();
+  });
+
+  test('the option overrides the global default', () => {
+    configure({ strict: true });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(() => autoBind(new Form(), { include: ['missing'], strict: false })).not.toThrow();
+  });
+
+  test('accepts built-ins, globs, regexes and names beyond stopAt', () => {
+    class Base {
+      baseMethod() {}
+    }
+    class Foo extends Base {
+      method() {}
+    }
+    const options = {
+      include: ['method', 'baseMethod', 'missing*', /nothing/],
+      exclude: ['toString'],
+      stopAt: Base,
+      strict: true,
+    };
+    expect(() => autoBind(new Foo(), options)).not.toThrow();
+  });
+
+  test('checks single include/exclude values like lists', () => {
+    expect(() => autoBind(new Form(), { include: /^handle/, strict: true })).not.toThrow();
+    expect(() => autoBind(new Form(), { include: 'handleClick', strict: true })).not.toThrow();
+    expect(() => autoBind(new Form(), { exclude: 'go', strict: true })).toThrow(
+      'autoBind: "go" in exclude does not match any method of Form.'
+    );
+  });
+
+  test('autoBindReact does not report its own lifecycle names', () => {
+    class Comp {
+      handleClick() {}
+    }
+    expect(() => autoBindReact(new Comp(), { strict: true })).not.toThrow();
+  });
+
+  test('warns once in development when not strict', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    class Foo {
+      handleClick() {}
+    }
+    autoBind(new Foo(), { include: ['handelClick'] });
+    autoBind(new Foo(), { include: ['handelClick'] });
+    expect(warn).toHaveBeenCalledTimes(1);
+    expect(warn.mock.calls[0][0]).toContain('Did you mean "handleClick"?');
+  });
+
+  test('does not warn in production', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const env = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+    try {
+      class Foo {
+        handleClick() {}
+      }
+      autoBind(new Foo(), { include: ['handelClick'] });
+    } finally {
+      process.env.NODE_ENV = env;
+    }
+    expect(warn).not.toHaveBeenCalled();
+  });
+});
+
+// ─── Inspection ─────────────────────────────────────────────────────────────
+
+describe('inspect', () => {
+  class Base {
+    baseMethod() {}
+  }
+  class Foo extends Base {
+    handleClick() {}
+    handleSubmit() {}
+    render() {}
+    toString() { return 'foo'; }
+  }
+
+  const reasons = (report) =>
+    Object.fromEntries(report.methods.map((m) => [m.name, m.reason]));
+
+  test('reports every candidate with its owner', () => {
+    const report = inspect(new Foo());
+    expect(report.className).toBe('Foo');
+    expect(report.bound).toEqual(['handleClick', 'handleSubmit', 'render', 'baseMethod']);
+    expect(report.skipped).toEqual(['toString']);
+
+    const base = report.methods.find((m) => m.key === 'baseMethod');
+    expect(base.owner).toBe(Base.prototype);
+    expect(base.ownerName).toBe('Base');
+    expect(base.bound).toBe(true);
+    expect(base.reason).toBeNull();
+  });
+
+  test('explains why methods are skipped', () => {
+    const report = inspect(new Foo(), {
+      include: ['handle*', 'render', 'toString'],
+      exclude: ['handleSubmit'],
+      pattern: /^handle/,
+    });
+    expect(reasons(report)).toEqual({
+      handleClick: null,
+      handleSubmit: 'excluded',
+      render: 'pattern-mismatch',
+      toString: 'builtin',
+      baseMethod: 'not-included',
+    });
+  });
+
+  test('reports filter and stopAt decisions', () => {
+    const report = inspect(new Foo(), {
+      stopAt: Base,
+      filter: (name) => name !== 'render',
+    });
+    expect(reasons(report)).toMatchObject({
+      render: 'filtered',
+      baseMethod: 'stop-at',
+    });
+  });
+
+  test('reports already-bound and non-configurable instance properties', () => {
+    const foo = autoBind(new Foo(), { include: ['handleClick'] });
+    Object.defineProperty(foo, 'handleSubmit', { value() {}, configurable: false });
+    expect(reasons(inspect(foo))).toMatchObject({
+      handleClick: 'already-bound',
+      handleSubmit: 'non-configurable',
+    });
+  });
+
+  test('does not mutate the instance', () => {
+    const foo = new Foo();
+    inspect(foo);
+    expect(Reflect.ownKeys(foo)).toEqual([]);
+  });
+
+  test('has readable string and table forms', () => {
+    const report = inspect(new Foo(), { exclude: ['render'] });
+    expect(String(report)).toBe([
+      'Foo: 3 bound, 2 skipped',
+      '  ✓ handleClick (Foo)',
+      '  ✓ handleSubmit (Foo)',
+      '  ✗ render (Foo) — excluded',
+      '  ✗ toString (Foo) — builtin',
+      '  ✓ baseMethod (Base)',
+    ].join('\n'));
+    expect(report.toTable()[2]).toEqual({
+      method: 'render',
+      definedBy: 'Foo',
+      bound: false,
+      reason: 'excluded',
+    });
+    expect(autoBind.inspect).toBe(inspect);
+  });
+});
+
+// ─── Own properties ─────────────────────────────────────────────────────────
+
+describe('own function properties', () => {
+  test('binds methods of object literals', () => {
+    const obj = autoBindObject({
+      name: 'obj',
+      greet() { return this.name; },
+    });
+    const { greet } = obj;
+    expect(greet()).toBe('obj');
+    expect(Object.keys(obj)).toEqual(['name', 'greet']);
+  });
+
+  test('binds functions assigned in constructors and mixins with own: true', () => {
+    const mixin = { mixed() { return this.name; } };
+    class Foo {
+      constructor() {
+        this.name = 'foo';
+        this.assigned = function () { return this.name; };
+        Object.defineProperty(this, 'hidden', { value() { return this.name; }, configurable: true });
+        Object.assign(this, mixin);
+        autoBind(this, { own: true });
+      }
+      method() { return this.name; }
+    }
+    const { assigned, hidden, mixed, method } = new Foo();
+    expect(assigned()).toBe('foo');
+    expect(hidden()).toBe('foo');
+    expect(mixed()).toBe('foo');
+    expect(method()).toBe('foo');
+  });
+
+  test('does not bind own properties without the option', () => {
+    const obj = autoBind({ name: 'obj', greet() { return this.name; } });
+    expect(isBound(obj.greet)).toBe(false);
+  });
+
+  test('skips bindings it installed itself', () => {
+    class Foo {
+      method() {}
+    }
+    const foo = autoBind(new Foo());
+    const first = foo.method;
+    autoBind(foo, { own: true });
+    expect(foo.method).toBe(first);
+    expect(original(foo.method)).toBe(Foo.prototype.method);
+  });
+
+  test('applies the usual filters to own methods', () => {
+    const obj = autoBindObject({ onA() {}, onB() {}, other() {} }, { pattern: 'on*', exclude: ['onB'] });
+    expect(isBound(obj.onA)).toBe(true);
+    expect(isBound(obj.onB)).toBe(false);
+    expect(isBound(obj.other)).toBe(false);
+  });
+
+  test('strict mode accepts names of own methods', () => {
+    expect(() => autoBindObject({ greet() {} }, { include: ['greet'], strict: true })).not.toThrow();
+  });
+
+  test('works with lazy modes', () => {
+    const lazy = autoBindObject({ name: 'obj', greet() { return this.name; } }, { lazy: true });
+    const { greet } = lazy;
+    expect(greet()).toBe('obj');
+
+    class Foo {
+      constructor() {
+        this.name = 'foo';
+        this.assigned = function () { return this.name; };
+        autoBind(this, { own: true, lazy: 'prototype' });
+      }
+    }
+    const { assigned } = new Foo();
+    expect(assigned()).toBe('foo');
+  });
+
+  test('unbind restores the original own functions', () => {
+    function greet() { return this.name; }
+    const obj = autoBindObject({ name: 'obj', greet });
+    unbind(obj);
+    expect(obj.greet).toBe(greet);
+    expect(Object.getOwnPropertyDescriptor(obj, 'greet').enumerable).toBe(true);
+  });
+
+  test('inspect lists own methods', () => {
+    const report = inspect({ greet() {} }, { own: true });
+    expect(report.bound).toEqual(['greet']);
+    expect(report.methods[0].ownerName).toBe('(own)');
+  });
+});
+
+// ─── Static methods ─────────────────────────────────────────────────────────
+
+describe('autoBindStatic', () => {
+  test('binds static methods to the class', () => {
+    class Controller {
+      static list() { return this.table; }
+    }
+    Controller.table = 'users';
+    expect(autoBindStatic(Controller)).toBe(Controller);
+    const { list } = Controller;
+    expect(list()).toBe('users');
+  });
+
+  test('binds inherited statics to the subclass', () => {
+    class Base {
+      static describe() { return this.label; }
+    }
+    class Sub extends Base {}
+    Sub.label = 'sub';
+    function Legacy() {}
+    Object.setPrototypeOf(Legacy, Base);
+    Legacy.label = 'legacy';
+
+    autoBindStatic(Sub);
+    autoBindStatic(Legacy);
+    expect(Sub.describe.call(undefined)).toBe('sub');
+    expect(Legacy.describe.call(undefined)).toBe('legacy');
+    expect(Object.getOwnPropertyDescriptor(Base, 'describe').value).toBe(original(Sub.describe));
+  });
+
+  test('does not bind Function.prototype methods or nested classes', () => {
+    class Foo {
+      static method() {}
+    }
+    Foo.Nested = class {};
+    autoBindStatic(Foo);
+    expect(Reflect.ownKeys(Foo)).not.toContain('call');
+    expect(Reflect.ownKeys(Foo)).not.toContain(Symbol.hasInstance);
+    expect(isBound(Foo.Nested)).toBe(false);
+    expect(() => new Foo.Nested()).not.toThrow();
+  });
+
+  test('supports filters, stopAt and lazy binding', () => {
+    class Base {
+      static inherited() { return this.name; }
+    }
+    class Foo extends Base {
+      static onA() { return this.name; }
+      static onB() { return this.name; }
+    }
+    autoBindStatic(Foo, { pattern: 'on*', exclude: ['onB'], stopAt: Base, lazy: true });
+    expect(Object.getOwnPropertyDescriptor(Foo, 'onA').get).toBeDefined();
+    expect(Foo.onA.call(undefined)).toBe('Foo');
+    expect(isBound(Foo.onB)).toBe(false);
+    expect(Object.getOwnPropertyDescriptor(Foo, 'inherited')).toBeUndefined();
+  });
+
+  test('rejects non-classes', () => {
+    expect(() => autoBindStatic({})).toThrow(AutoBindError);
+  });
+
+  test('boundClass({ statics: true }) binds statics too', () => {
+    class Foo {
+      constructor() { this.name = 'foo'; }
+      static create() { return new this(); }
+      getName() { return this.name; }
+    }
+    const BoundFoo = boundClass({ statics: true })(Foo);
+    const { create } = BoundFoo;
+    const foo = create();
+    const { getName } = foo;
+    expect(getName()).toBe('foo');
+  });
+
+  test('boundClass(options) passes options to autoBind', () => {
+    class Foo {
+      a() {}
+      b() {}
+    }
+    const BoundFoo = boundClass({ exclude: ['b'] })(Foo, { kind: 'class', name: 'Foo' });
+    expect(Object.getOwnPropertyNames(new BoundFoo())).toEqual(['a']);
+  });
+});
+
+// ─── Lazy binding ───────────────────────────────────────────────────────────
+
+describe('lazy binding', () => {
+  test('binds method on first access', () => {
+    class Foo {
+      constructor() {
+        this.name = 'foo';
+        autoBind(this, { lazy: true });
+      }
+      getName() {
+        return this.name;
+      }
+    }
+    const foo = new Foo();
+    const { getName } = foo;
+    expect(getName()).toBe('foo');
+  });
+
+  test('caches the bound method after first access', () => {
+    class Foo {
+      constructor() {
+        this.name = 'foo';
+        autoBind(this, { lazy: true });
+      }
+      getName() {
+        return this.name;
+      }
+    }
+    const foo = new Foo();
+    const first = foo.getName;
+    const second = foo.getName;
+    expect(first).toBe(second);
+  });
+});
+
+describe('prototype lazy binding', () => {
+  test('binds on first access and caches per instance', () => {
+    class Foo {
+      constructor(name) {
+        this.name = name;
+        autoBind(this, { lazy: 'prototype' });
+      }
+      getName() { return this.name; }
+    }
+    const a = new Foo('a');
+    const b = new Foo('b');
+    expect(Object.getOwnPropertyNames(a)).toEqual(['name']);
+
+    const { getName } = a;
+    expect(getName()).toBe('a');
+    expect(a.getName).toBe(getName);
+    expect(b.getName()).toBe('b');
+    expect(b.getName).not.toBe(getName);
+  });
+
+  test('installs one shared getter on the prototype', () => {
+    class Foo {
+      constructor() { autoBind(this, { lazy: 'prototype' }); }
+      method() {}
+    }
+    const raw = Foo.prototype.method;
+    new Foo();
+    const descriptor = Object.getOwnPropertyDescriptor(Foo.prototype, 'method');
+    expect(typeof descriptor.get).toBe('function');
+
+    const spy = jest.spyOn(Object, 'defineProperty');
+    new Foo();
+    expect(spy).not.toHaveBeenCalled();
+    spy.mockRestore();
+
+    expect(Foo.prototype.method).toBe(raw);
+  });
+
+  test('subclass overrides still win, including through super', () => {
+    class Base {
+      constructor() {
+        this.name = 'base';
+        autoBind(this, { lazy: 'prototype' });
+      }
+      getName() { return `base:${this.name}`; }
+    }
+    class Child extends Base {
+      constructor() {
+        super();
+        this.name = 'child';
+      }
+      getName() { return `child:${super.getName()}`; }
+    }
+    new Base();
+    const child = new Child();
+    const { getName } = child;
+    expect(getName()).toBe('child:base:child');
+  });
+
+  test('binds inherited methods', () => {
+    class Base {
+      getName() { return this.name; }
+    }
+    class Child extends Base {
+      constructor() {
+        super();
+        this.name = 'child';
+        autoBind(this, { lazy: 'prototype' });
+      }
+    }
+    const { getName } = new Child();
+    expect(getName()).toBe('child');
+    expect(Base.prototype.getName.call({ name: 'raw' })).toBe('raw');
+  });
+
+  test('instances can still assign the method', () => {
+    class Foo {
+      constructor() { autoBind(this, { lazy: 'prototype' }); }
+      method() { return 'original'; }
+    }
+    const foo = new Foo();
+    foo.method = () => 'replaced';
+    expect(foo.method()).toBe('replaced');
+    expect(new Foo().method()).toBe('original');
+  });
+
+  test('keeps @bound methods working', () => {
+    class Foo {
+      constructor() {
+        this.name = 'foo';
+        autoBind(this, { lazy: 'prototype' });
+      }
+      getName() { return this.name; }
+      other() { return this.name; }
+    }
+    const descriptor = Object.getOwnPropertyDescriptor(Foo.prototype, 'getName');
+    Object.defineProperty(Foo.prototype, 'getName', bound(Foo.prototype, 'getName', descriptor));
+
+    const foo = new Foo();
+    const { getName, other } = foo;
+    expect(getName()).toBe('foo');
+    expect(other()).toBe('foo');
+  });
+
+  test('unbind removes the cached bound method', () => {
+    class Foo {
+      constructor() { autoBind(this, { lazy: 'prototype' }); }
+      method() {}
+    }
+    const foo = new Foo();
+    expect(typeof foo.method).toBe('function');
+    unbind(foo);
+    expect(Object.getOwnPropertyNames(foo)).toEqual([]);
+  });
+
+  test('sees base prototype methods patched after install', () => {
+    class Base {
+      m() { return 'base'; }
+    }
+    class Sub extends Base {
+      constructor() {
+        super();
+        autoBind(this, { lazy: 'prototype' });
+      }
+    }
+    new Sub();
+    Base.prototype.m = function () { return 'patched'; };
+    expect(new Sub().m()).toBe('patched');
+
+    const spy = jest.spyOn(Base.prototype, 'm').mockReturnValue('spied');
+    const { m } = new Sub();
+    expect(m()).toBe('spied');
+    expect(spy).toHaveBeenCalled();
+    spy.mockRestore();
+  });
+
+  test('unbind(prototype) restores the original descriptors', () => {
+    class Base {
+      inherited() {}
+    }
+    class Foo extends Base {
+      constructor() {
+        super();
+        autoBind(this, { lazy: 'prototype' });
+      }
+      method() {}
+    }
+    const before = Object.getOwnPropertyDescriptors(Foo.prototype);
+    new Foo();
+    unbind(Foo.prototype);
+    expect(Object.getOwnPropertyDescriptors(Foo.prototype)).toEqual(before);
+    // A later instance installs the getters again
+    expect(bindingState(new Foo(), 'method')).toBe('lazy');
+  });
+});
+
+// ─── Proxy mode ─────────────────────────────────────────────────────────────
+
+describe('proxy mode', () => {
+  class Money {
+    constructor(amount) {
+      this.amount = amount;
+      Object.freeze(this);
+      return autoBind(this, { mode: 'proxy' });
+    }
+    format() { return `$${this.amount}`; }
+    double() { return new Money(this.amount * 2); }
+  }
+
+  test('works with frozen instances', () => {
+    const money = new Money(5);
+    const { format } = money;
+    expect(format()).toBe('$5');
+    expect(Object.isFrozen(money)).toBe(true);
+  });
+
+  test('does not mutate the target', () => {
+    class Foo {
+      method() {}
+    }
+    const foo = new Foo();
+    const proxied = proxy(foo);
+    expect(typeof proxied.method).toBe('function');
+    expect(Reflect.ownKeys(foo)).toEqual([]);
+    expect(JSON.stringify(proxied)).toBe('{}');
+  });
+
+  test('hands out stable bound methods', () => {
+    const money = new Money(5);
+    expect(money.format).toBe(money.format);
+    expect(original(money.format)).toBe(Money.prototype.format);
+  });
+
+  test('returns the same proxy for the same instance and options', () => {
+    class Foo {
+      method() {}
+    }
+    const foo = new Foo();
+    expect(proxy(foo)).toBe(proxy(foo));
+    expect(proxy(foo, 'method')).not.toBe(proxy(foo));
+  });
+
+  test('binds to the instance, so #private fields work', () => {
+    class Price {
+      #amount;
+      constructor(amount) {
+        this.#amount = amount;
+        Object.freeze(this);
+        return autoBind.proxy(this);
+      }
+      get amount() { return this.#amount; }
+      format() { return `$${this.#amount}`; }
+    }
+    const price = new Price(5);
+    const { format } = price;
+    expect(format()).toBe('$5');
+    expect(price.format()).toBe('$5');
+    expect(price.amount).toBe(5);
+    expect(isBound(format, price)).toBe(true);
+  });
+
+  test('creates a separate proxy per hook options', () => {
+    class Foo {
+      go() { return 'raw'; }
+    }
+    const foo = new Foo();
+    const wrap = () => () => 'wrapped';
+    expect(proxy(foo).go()).toBe('raw');
+    expect(proxy(foo, { wrap }).go()).toBe('wrapped');
+    expect(proxy(foo, { wrap })).toBe(proxy(foo, { wrap }));
+    expect(proxy(foo, { debounce: { go: 10 } })).toBe(proxy(foo, { debounce: { go: { wait: 10 } } }));
+    expect(proxy(foo, { debounce: { go: 10 } })).not.toBe(proxy(foo, { debounce: { go: 20 } }));
+
+    const instrumented = proxy(foo, { instrument: true });
+    instrumented.go();
+    expect(stats(instrumented).go.calls).toBe(1);
+  });
+
+  test('is transparent for instanceof, in and writes', () => {
+    class Foo {
+      method() { return 'original'; }
+    }
+    const foo = new Foo();
+    const proxied = proxy(foo);
+    expect(proxied instanceof Foo).toBe(true);
+    expect('method' in proxied).toBe(true);
+
+    proxied.method = () => 'replaced';
+    expect(foo.method()).toBe('replaced');
+    expect(proxied.method()).toBe('replaced');
+  });
+
+  test('respects filters', () => {
+    class Foo {
+      constructor() { this.name = 'foo'; }
+      a() { return this.name; }
+      b() { return this.name; }
+    }
+    const proxied = proxy(new Foo(), { exclude: ['b'] });
+    const { a, b } = proxied;
+    expect(a()).toBe('foo');
+    expect(() => b()).toThrow();
+    expect(autoBind.proxy).toBe(proxy);
+  });
+});
+
+// ─── Extraction ─────────────────────────────────────────────────────────────
+
+describe('extract', () => {
+  const kind = Symbol('kind');
+
+  class Controller {
+    constructor() {
+      this.name = 'users';
+    }
+    getUser() {
+      return this.name;
+    }
+    postUser() {
+      return this.name;
+    }
+    render() {}
+    [kind]() {
+      return this.name;
+    }
+  }
+
+  test('returns a frozen object of bound methods without touching the instance', () => {
+    const controller = new Controller();
+    const methods = extract(controller);
+
+    expect(Object.isFrozen(methods)).toBe(true);
+    expect(Object.getPrototypeOf(methods)).toBe(Object.prototype);
+    expect(Reflect.ownKeys(methods)).toEqual(['getUser', 'postUser', 'render', kind]);
+    expect(Object.getOwnPropertyNames(controller)).toEqual(['name']);
+
+    const { getUser } = methods;
+    expect(getUser()).toBe('users');
+    expect(methods[kind].call(null)).toBe('users');
+    expect(isBound(getUser, controller)).toBe(true);
+    expect(original(getUser)).toBe(Controller.prototype.getUser);
+  });
+
+  test('returns the same object and functions on repeated calls', () => {
+    const controller = new Controller();
+    expect(extract(controller)).toBe(extract(controller));
+    expect(extract(controller, { pattern: /^(get|post)/ })).toBe(
+      extract(controller, { pattern: /^(get|post)/ })
+    );
+    expect(extract(controller).getUser).not.toBe(extract(new Controller()).getUser);
+  });
+
+  test('applies filters, the shorthand and hooks', () => {
+    const controller = new Controller();
+    expect(Object.keys(extract(controller, { pattern: /^(get|post)/ }))).toEqual(['getUser', 'postUser']);
+    expect(Object.keys(extract(controller, 'render'))).toEqual(['render']);
+
+    const wrapped = extract(controller, { include: ['getUser'], wrap: (fn) => () => fn().toUpperCase() });
+    expect(wrapped.getUser()).toBe('USERS');
+  });
+
+  test('reuses methods already bound on the instance', () => {
+    const controller = autoBind(new Controller(), 'getUser');
+    expect(extract(controller).getUser).toBe(controller.getUser);
+    expect(autoBind.extract).toBe(extract);
+  });
+
+  test('keeps each bound function across plans', () => {
+    const controller = new Controller();
+    const { getUser } = extract(controller);
+    expect(extract(controller, { pattern: /^get/ }).getUser).toBe(getUser);
+    expect(extract(controller, { filter: () => true }).getUser).toBe(getUser);
+    clearCache();
+    expect(extract(controller).getUser).toBe(getUser);
+  });
+
+  test('returns a separate object per hook options', () => {
+    const controller = new Controller();
+    const upper = (fn) => () => fn().toUpperCase();
+    const exclaim = (fn) => () => `${fn()}!`;
+    expect(extract(controller, { wrap: upper }).getUser()).toBe('USERS');
+    expect(extract(controller, { wrap: exclaim }).getUser()).toBe('users!');
+    expect(extract(controller, { wrap: upper })).toBe(extract(controller, { wrap: upper }));
+  });
+
+  test('applies instrument after a plain extract', () => {
+    const controller = autoBind(new Controller(), 'getUser');
+    const plain = extract(controller);
+    const instrumented = extract(controller, { instrument: true });
+    expect(instrumented).not.toBe(plain);
+    expect(instrumented.getUser).not.toBe(controller.getUser);
+
+    instrumented.getUser();
+    expect(stats(controller).getUser.calls).toBe(1);
+  });
+});
+
+// ─── Wrap hooks ─────────────────────────────────────────────────────────────
+
+describe('wrap option', () => {
+  const logCalls = (calls) => (fn, name) => (...args) => {
+    calls.push(name);
+    return fn(...args);
+  };
+
+  test('wraps bound methods with stable identity', () => {
+    const calls = [];
+    class Foo {
+      constructor() {
+        this.name = 'foo';
+        autoBind(this, { wrap: logCalls(calls) });
+      }
+      getName() { return this.name; }
+    }
+    const foo = new Foo();
+    const { getName } = foo;
+    expect(getName()).toBe('foo');
+    expect(calls).toEqual(['getName']);
+    expect(foo.getName).toBe(getName);
+    expect(isBound(getName)).toBe(true);
+    expect(original(getName)).toBe(Foo.prototype.getName);
+  });
+
+  test('applies a list of hooks in order', () => {
+    const order = [];
+    const hook = (label) => (fn) => (...args) => {
+      order.push(label);
+      return fn(...args);
+    };
+    class Foo {
+      method() { order.push('method'); }
+    }
+    const foo = autoBind(new Foo(), { wrap: [hook('inner'), hook('outer')] });
+    foo.method();
+    expect(order).toEqual(['outer', 'inner', 'method']);
+  });
+
+  test('passes the name and instance, and keeps the method when a hook returns nothing', () => {
+    const seen = [];
+    class Foo {
+      method() { return this; }
+    }
+    const foo = new Foo();
+    autoBind(foo, { wrap: (fn, name, self) => { seen.push([name, self]); } });
+    const { method } = foo;
+    expect(seen).toEqual([['method', foo]]);
+    expect(method()).toBe(foo);
+  });
+
+  test('does not wrap again when autoBind runs twice', () => {
+    const calls = [];
+    class Foo {
+      method() {}
+    }
+    const foo = new Foo();
+    autoBind(foo, { wrap: logCalls(calls) });
+    autoBind(foo, { wrap: logCalls(calls) });
+    foo.method();
+    expect(calls).toEqual(['method']);
+  });
+
+  test('applies to lazy, prototype lazy and proxy bindings', () => {
+    for (const options of [{ lazy: true }, { lazy: 'prototype' }, { mode: 'proxy' }]) {
+      const calls = [];
+      class Foo {
+        constructor() { this.name = 'foo'; }
+        getName() { return this.name; }
+      }
+      const foo = autoBind(new Foo(), { ...options, wrap: logCalls(calls) });
+      const { getName } = foo;
+      expect(getName()).toBe('foo');
+      expect(foo.getName).toBe(getName);
+      expect(calls).toEqual(['getName']);
+    }
+  });
+
+  test('uses the hooks of each instance with prototype lazy binding', () => {
+    class Job {
+      constructor(name, withHooks) {
+        this.name = name;
+        const me = this;
+        autoBind(this, withHooks ? { lazy: 'prototype', onError: () => me.name } : { lazy: 'prototype' });
+      }
+      fail() { throw new Error('boom'); }
+    }
+    const first = new Job('first', true);
+    const second = new Job('second', true);
+    const plain = new Job('plain', false);
+    expect(first.fail()).toBe('first');
+    expect(second.fail()).toBe('second');
+    expect(() => plain.fail()).toThrow('boom');
+  });
+
+  test('works with the bound decorator', () => {
+    const calls = [];
+    class Foo {
+      constructor() { this.name = 'foo'; }
+      getName() { return this.name; }
+    }
+    const descriptor = Object.getOwnPropertyDescriptor(Foo.prototype, 'getName');
+    const decorator = bound({ wrap: logCalls(calls) });
+    Object.defineProperty(Foo.prototype, 'getName', decorator(Foo.prototype, 'getName', descriptor));
+
+    const foo = new Foo();
+    const { getName } = foo;
+    expect(getName()).toBe('foo');
+    expect(foo.getName).toBe(getName);
+    expect(calls).toEqual(['getName']);
+  });
+
+  test('rejects hooks that are not functions', () => {
+    class Foo {
+      method() {}
+    }
+    expect(() => autoBind(new Foo(), { wrap: 'log' })).toThrow(
+      expect.objectContaining({ code: 'INVALID_OPTION' })
+    );
+    expect(() => bound({ wrap: [null] })).toThrow(AutoBindError);
+  });
+});
+
+// ─── Error handling ─────────────────────────────────────────────────────────
+
+describe('onError option', () => {
+  class Handler {
+    constructor(options) {
+      this.name = 'handler';
+      autoBind(this, options);
+    }
+    fail(value) { throw new Error(`fail ${value}`); }
+    async failLater() { throw new Error('later'); }
+    ok() { return this.name; }
+  }
+
+  test('catches sync throws and returns the handler result', () => {
+    const onError = jest.fn(() => 'fallback');
+    const handler = new Handler({ onError });
+    const { fail, ok } = handler;
+    expect(fail(1)).toBe('fallback');
+    expect(ok()).toBe('handler');
+    expect(onError).toHaveBeenCalledTimes(1);
+    const [error, context] = onError.mock.calls[0];
+    expect(error.message).toBe('fail 1');
+    expect(context).toEqual({ name: 'fail', self: handler, args: [1] });
+  });
+
+  test('catches async rejections', async () => {
+    const onError = jest.fn(() => 'fallback');
+    const { failLater } = new Handler({ onError });
+    await expect(failLater()).resolves.toBe('fallback');
+    expect(onError.mock.calls[0][0].message).toBe('later');
+  });
+
+  test('rethrows after reporting with rethrow: true', async () => {
+    const onError = jest.fn();
+    const { fail, failLater } = new Handler({ onError, rethrow: true });
+    expect(() => fail(2)).toThrow('fail 2');
+    await expect(failLater()).rejects.toThrow('later');
+    expect(onError).toHaveBeenCalledTimes(2);
+  });
+
+  test('keeps bindings stable and recognisable', () => {
+    const handler = new Handler({ onError: () => {}, lazy: true });
+    expect(handler.fail).toBe(handler.fail);
+    expect(original(handler.fail)).toBe(Handler.prototype.fail);
+  });
+
+  test('also catches errors thrown by wrap hooks', () => {
+    const onError = jest.fn();
+    class Foo {
+      method() {}
+    }
+    const foo = autoBind(new Foo(), {
+      wrap: () => () => { throw new Error('hook'); },
+      onError,
+    });
+    expect(() => foo.method()).not.toThrow();
+    expect(onError.mock.calls[0][0].message).toBe('hook');
+  });
+
+  test('works with autoBindReact and the bound decorator', () => {
+    const onError = jest.fn(() => 'caught');
+    class Component {
+      componentDidMount() { throw new Error('lifecycle'); }
+      handleClick() { throw new Error('click'); }
+      handleKey() { throw new Error('key'); }
+    }
+    const component = autoBindReact(new Component(), { onError });
+    expect(component.handleClick()).toBe('caught');
+    expect(() => component.componentDidMount()).toThrow('lifecycle');
+
+    const descriptor = Object.getOwnPropertyDescriptor(Component.prototype, 'handleKey');
+    Object.defineProperty(
+      Component.prototype,
+      'handleKey',
+      bound({ onError })(Component.prototype, 'handleKey', descriptor)
+    );
+    expect(new Component().handleKey()).toBe('caught');
+  });
+
+  test('rejects a handler that is not a function', () => {
+    expect(() => new Handler({ onError: 'log' })).toThrow(
+      expect.objectContaining({ code: 'INVALID_OPTION' })
+    );
+  });
+});
+
+// ─── Weak binding ───────────────────────────────────────────────────────────
+
+describe('weak option', () => {
+  class Widget {
+    constructor() {
+      this.name = 'widget';
+    }
+    handleResize() {
+      return this.name;
+    }
+    render() {}
+  }
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('binds methods that still work while the instance is alive', () => {
+    const widget = autoBind(new Widget(), { weak: true });
+    const { handleResize } = widget;
+    expect(handleResize()).toBe('widget');
+    expect(handleResize.name).toBe('bound handleResize');
+    expect(isBound(handleResize, widget)).toBe(true);
+    expect(original(handleResize)).toBe(Widget.prototype.handleResize);
+    expect(autoBind(widget, { weak: true }).handleResize).toBe(handleResize);
+  });
+
+  test('rejects invalid onCollected and onLeak', () => {
+    expect(() => autoBind(new Widget(), { weak: true, onCollected: 'warn' })).toThrow(
+      expect.objectContaining({ code: 'INVALID_OPTION' })
+    );
+    expect(() => autoBind(new Widget(), { weak: true, onLeak: 'log' })).toThrow(
+      expect.objectContaining({ code: 'INVALID_OPTION' })
+    );
+  });
+
+  // Needs `gc()`: run with `npm run test:gc`
+  (global.gc ? describe : describe.skip)('garbage collection', () => {
+    // Objects touched by WeakRefs stay alive until the current job ends;
+    // finalizers may need more than one pass
+    const collect = async () => {
+      for (let i = 0; i < 3; i++) {
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        global.gc();
+      }
+      await new Promise((resolve) => setTimeout(resolve, 0));
+    };
+
+    test('does not keep the instance alive', async () => {
+      let ref;
+      const listeners = [];
+      (() => {
+        const widget = autoBind(new Widget(), { weak: true, onLeak: () => {} });
+        listeners.push(widget.handleResize);
+        ref = new WeakRef(widget);
+      })();
+      await collect();
+
+      expect(ref.deref()).toBe(undefined);
+      expect(listeners[0]()).toBe(undefined);
+    });
+
+    test('throws after collection with onCollected: throw', async () => {
+      const listeners = [];
+      (() => {
+        const widget = autoBind(new Widget(), { weak: true, onCollected: 'throw', onLeak: () => {} });
+        listeners.push(widget.handleResize);
+      })();
+      await collect();
+
+      expect(() => listeners[0]()).toThrow(
+        expect.objectContaining({
+          code: 'COLLECTED',
+          key: 'handleResize',
+          message: 'autoBind: `Widget#handleResize` was called after its instance was garbage collected',
+        })
+      );
+    });
+
+    test('reports bound methods still referenced when the instance is collected', async () => {
+      const onLeak = jest.fn();
+      const listeners = [];
+      (() => {
+        const widget = autoBind(new Widget(), { weak: true, onLeak });
+        listeners.push(widget.handleResize);
+        autoBind(new Widget(), { weak: true, onLeak });
+      })();
+      await collect();
+
+      expect(onLeak).toHaveBeenCalledTimes(1);
+      const [[leak]] = onLeak.mock.calls;
+      expect(leak.className).toBe('Widget');
+      expect(leak.keys).toEqual(['handleResize']);
+      expect(leak.message).toContain('handleResize were still referenced');
+    });
+
+    test('warns about leaks in development by default', async () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const listeners = [];
+      (() => {
+        listeners.push(autoBind(new Widget(), { weak: true }).render);
+      })();
+      await collect();
+
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('a Widget instance was garbage collected'));
+    });
+
+    test('applies hooks and onError without holding the instance', async () => {
+      let ref;
+      let errorContext;
+      const onError = (error, { name, self }) => {
+        // Keep no reference to the instance
+        errorContext = `${name} of ${self.constructor.name}`;
+        return 'handled';
+      };
+      const listeners = [];
+      (() => {
+        class Failing {
+          fail() {
+            throw new Error('boom');
+          }
+        }
+        const failing = autoBind(new Failing(), { weak: true, onError, instrument: true, onLeak: () => {} });
+        expect(failing.fail()).toBe('handled');
+        expect(errorContext).toBe('fail of Failing');
+        listeners.push(failing.fail);
+        ref = new WeakRef(failing);
+      })();
+      await collect();
+
+      expect(ref.deref()).toBe(undefined);
+    });
+  });
+});
+
+// ─── Call statistics ────────────────────────────────────────────────────────
+
+describe('instrument option', () => {
+  let now;
+  let clock;
+
+  beforeEach(() => {
+    clock = 0;
+    now = jest.spyOn(performance, 'now').mockImplementation(() => clock);
+  });
+
+  afterEach(() => {
+    now.mockRestore();
+  });
+
+  class Controller {
+    constructor(options) {
+      autoBind(this, options);
+    }
+    work(ms) { clock += ms; }
+    fail() { throw new Error('fail'); }
+    async load(ms, failed) {
+      await null;
+      clock += ms;
+      if (failed) throw new Error('failed');
+    }
+    unused() {}
+  }
+
+  test('counts calls, errors and durations', () => {
+    const controller = new Controller({ instrument: true });
+    const { work, fail } = controller;
+    work(5);
+    work(3);
+    expect(() => fail()).toThrow('fail');
+
+    const snapshot = stats(controller);
+    expect(snapshot.work).toEqual({ calls: 2, errors: 0, totalDuration: 8, maxDuration: 5 });
+    expect(snapshot.fail).toEqual({ calls: 1, errors: 1, totalDuration: 0, maxDuration: 0 });
+    expect(snapshot.unused.calls).toBe(0);
+  });
+
+  test('times async methods until they settle', async () => {
+    const controller = new Controller({ instrument: true });
+    await controller.load(7);
+    await expect(controller.load(2, true)).rejects.toThrow('failed');
+
+    expect(stats(controller).load).toEqual({ calls: 2, errors: 1, totalDuration: 9, maxDuration: 7 });
+  });
+
+  test('returns snapshots and resets counters', () => {
+    const controller = new Controller({ instrument: true });
+    controller.work(1);
+    const before = stats(controller);
+
+    expect(resetStats(controller)).toBe(controller);
+    expect(before.work.calls).toBe(1);
+    expect(stats(controller).work).toEqual({ calls: 0, errors: 0, totalDuration: 0, maxDuration: 0 });
+
+    controller.work(2);
+    expect(autoBind.stats(controller).work.calls).toBe(1);
+    expect(autoBind.resetStats).toBe(resetStats);
+  });
+
+  test('counts errors before onError handles them', () => {
+    const controller = new Controller({ instrument: true, onError: () => 'handled' });
+    expect(controller.fail()).toBe('handled');
+    expect(stats(controller).fail.errors).toBe(1);
+  });
+
+  test('adds no overhead when off', () => {
+    const controller = new Controller();
+    controller.work(1);
+    expect(controller.work.name).toBe('bound work');
+    expect(now).not.toHaveBeenCalled();
+    expect(stats(controller)).toEqual({});
+  });
+});
+
+// ─── Debounce and throttle ──────────────────────────────────────────────────
+
+describe('debounce and throttle', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  class Widget {
+    constructor(options) {
+      this.calls = [];
+      autoBind(this, options);
+    }
+    onResize(size) { this.calls.push(size); return size; }
+    onScroll(y) { this.calls.push(y); return y; }
+  }
+
+  test('debounces per instance with stable bound functions', () => {
+    const a = new Widget({ debounce: { onResize: 100 } });
+    const b = new Widget({ debounce: { onResize: 100 } });
+    const { onResize } = a;
+    expect(a.onResize).toBe(onResize);
+
+    onResize(1);
+    onResize(2);
+    b.onResize(3);
+    jest.advanceTimersByTime(99);
+    expect(a.calls).toEqual([]);
+    jest.advanceTimersByTime(1);
+    expect(a.calls).toEqual([2]);
+    expect(b.calls).toEqual([3]);
+    expect(original(onResize)).toBe(Widget.prototype.onResize);
+  });
+
+  test('debounce supports the leading edge', () => {
+    const widget = new Widget({ debounce: { onResize: { wait: 100, leading: true, trailing: false } } });
+    expect(widget.onResize(1)).toBe(1);
+    widget.onResize(2);
+    jest.advanceTimersByTime(100);
+    expect(widget.calls).toEqual([1]);
+  });
+
+  test('throttles on both edges by default', () => {
+    const widget = new Widget({ throttle: { onScroll: 100 } });
+    widget.onScroll(1);
+    widget.onScroll(2);
+    widget.onScroll(3);
+    expect(widget.calls).toEqual([1]);
+    jest.advanceTimersByTime(100);
+    expect(widget.calls).toEqual([1, 3]);
+    jest.advanceTimersByTime(100);
+    widget.onScroll(4);
+    expect(widget.calls).toEqual([1, 3, 4]);
+  });
+
+  test('cancel and flush control the pending call', () => {
+    const widget = new Widget({ debounce: { onResize: 100, onScroll: 100 } });
+    widget.onResize(1);
+    widget.onResize.cancel();
+    widget.onScroll(2);
+    expect(widget.onScroll.flush()).toBe(2);
+    jest.advanceTimersByTime(100);
+    expect(widget.calls).toEqual([2]);
+  });
+
+  test('unbind cancels pending calls', () => {
+    const widget = new Widget({ debounce: { onResize: 100 } });
+    widget.onResize(1);
+    unbind(widget);
+    jest.advanceTimersByTime(100);
+    expect(widget.calls).toEqual([]);
+  });
+
+  test('debounced and throttled decorators (legacy)', () => {
+    class Field {
+      constructor() { this.values = []; }
+      onInput(value) { this.values.push(value); }
+      onMove(value) { this.values.push(value); }
+    }
+    for (const [key, decorator] of [['onInput', debounced(50)], ['onMove', throttled(50)]]) {
+      const descriptor = Object.getOwnPropertyDescriptor(Field.prototype, key);
+      Object.defineProperty(Field.prototype, key, decorator(Field.prototype, key, descriptor));
+    }
+
+    const field = new Field();
+    const { onInput, onMove } = field;
+    expect(field.onInput).toBe(onInput);
+    onInput('a');
+    onInput('b');
+    onMove(1);
+    onMove(2);
+    jest.advanceTimersByTime(50);
+    expect(field.values).toEqual([1, 'b', 2]);
+    expect(typeof onInput.cancel).toBe('function');
+  });
+
+  test('rejects invalid delays', () => {
+    expect(() => new Widget({ debounce: { onResize: -1 } })).toThrow(
+      expect.objectContaining({ code: 'INVALID_OPTION' })
+    );
+    expect(() => throttled('fast')).toThrow(AutoBindError);
+  });
+});
+
+// ─── Detached this guard ────────────────────────────────────────────────────
+
+describe('guard', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('throws when an unbound method is called detached', () => {
+    class Foo {
+      constructor() {
+        this.name = 'foo';
+        autoBind(this, { pattern: /^handle/ });
+      }
+      handleClick() {
+        return this.name;
+      }
+      render() {
+        return this.name;
+      }
+    }
+    expect(guard(Foo, { pattern: /^handle/ })).toBe(Foo);
+
+    const foo = new Foo();
+    const { render, handleClick } = foo;
+    expect(handleClick()).toBe('foo');
+    expect(foo.render()).toBe('foo');
+    expect(() => render()).toThrow(AutoBindError);
+    expect(() => render.call({})).toThrow(
+      '`Foo#render` was called detached; bind it or include it in autoBind'
+    );
+    try {
+      render();
+    } catch (error) {
+      expect(error.code).toBe('DETACHED_THIS');
+      expect(error.key).toBe('render');
+    }
+  });
+
+  test('names the class that defines the method', () => {
+    class Base {
+      save() {}
+    }
+    class Form extends Base {}
+    guard(Form, { include: [] });
+    expect(() => new Form().save.call(undefined)).toThrow('`Base#save` was called detached');
+    expect(() => new Form().save()).not.toThrow();
+  });
+
+  test('shadows inherited methods instead of changing base prototypes', () => {
+    class Base {
+      shared() {
+        return this;
+      }
+    }
+    class A extends Base {}
+    const before = Object.getOwnPropertyDescriptors(Base.prototype);
+    guard(A, { include: [] });
+
+    expect(Object.getOwnPropertyDescriptors(Base.prototype)).toEqual(before);
+    const base = new Base();
+    expect(() => Base.prototype.shared.call(undefined)).not.toThrow();
+    expect(() => A.prototype.shared.call(base)).toThrow('`Base#shared` was called detached');
+
+    Base.prototype.shared = function () {
+      return 'patched';
+    };
+    expect(new A().shared()).toBe('patched');
+  });
+
+  test('skips native and function-constructor base classes', () => {
+    const { EventEmitter } = require('events');
+    const before = Object.getOwnPropertyDescriptors(EventEmitter.prototype);
+    class Store extends EventEmitter {
+      handleChange() {}
+      refresh() {}
+    }
+    guard(Store, { pattern: /^handle/ });
+
+    expect(Object.getOwnPropertyDescriptors(EventEmitter.prototype)).toEqual(before);
+    expect(Object.prototype.hasOwnProperty.call(Store.prototype, 'emit')).toBe(false);
+    expect(() => Store.prototype.refresh.call(undefined)).toThrow('`Store#refresh` was called detached');
+
+    class Stamp extends Date {
+      label() {}
+    }
+    guard(Stamp, { include: [] });
+    expect(Object.prototype.hasOwnProperty.call(Stamp.prototype, 'getTime')).toBe(false);
+  });
+
+  test('warns once and calls the method with onDetached: warn', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    class Foo {
+      value() {
+        return this;
+      }
+    }
+    guard(Foo, { include: [], onDetached: 'warn' });
+    const { value } = new Foo();
+    expect(value()).toBe(undefined);
+    value();
+    expect(warn).toHaveBeenCalledTimes(1);
+    expect(warn.mock.calls[0][0]).toContain('`Foo#value` was called detached');
+  });
+
+  test('leaves builtins, methods beyond stopAt and bound methods alone', () => {
+    class Base {
+      base() {}
+    }
+    class Foo extends Base {
+      a() {}
+      b() {}
+      toString() {
+        return 'foo';
+      }
+    }
+    const baseMethod = Base.prototype.base;
+    const a = Foo.prototype.a;
+    const b = Foo.prototype.b;
+    guard(Foo, { include: ['a'], stopAt: Base });
+    guard(Foo, { include: ['a'], stopAt: Base });
+
+    expect(Base.prototype.base).toBe(baseMethod);
+    expect(Foo.prototype.a).toBe(a);
+    expect(Foo.prototype.b).not.toBe(b);
+    expect(Foo.prototype.b.name).toBe('b');
+    expect(original(Foo.prototype.b)).toBe(b);
+    expect(Foo.prototype.toString()).toBe('foo');
+  });
+
+  test('guarded methods can still be bound later', () => {
+    class Foo {
+      handle() {
+        return this;
+      }
+    }
+    guard(Foo, 'other');
+    const foo = autoBind(new Foo());
+    const { handle } = foo;
+    expect(handle()).toBe(foo);
+    expect(original(handle)).toBe(original(Foo.prototype.handle));
+  });
+
+  test('does nothing in production', () => {
+    class Foo {
+      method() {}
+    }
+    const method = Foo.prototype.method;
+    const env = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+    try {
+      guard(Foo);
+    } finally {
+      process.env.NODE_ENV = env;
+    }
+    expect(Foo.prototype.method).toBe(method);
+  });
+
+  test('rejects non-classes and unknown onDetached values', () => {
+    expect(() => guard({})).toThrow(expect.objectContaining({ code: 'INVALID_TARGET' }));
+    expect(() => guard(class {}, { onDetached: 'log' })).toThrow(
+      expect.objectContaining({ code: 'INVALID_OPTION' })
+    );
+    expect(autoBind.guard).toBe(guard);
+  });
+});
+
+// ─── Plan cache ─────────────────────────────────────────────────────────────
+
+describe('binding plan cache', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('reuses the resolved plan for later instances', () => {
+    class Foo {
+      constructor() { autoBind(this); }
+      a() {}
+    }
+    new Foo();
+    // Method discovery lists names and Symbols of every prototype
+    const spies = [
+      jest.spyOn(Object, 'getOwnPropertyNames'),
+      jest.spyOn(Object, 'getOwnPropertySymbols'),
+    ];
+    const foo = new Foo();
+    for (const spy of spies) expect(spy).not.toHaveBeenCalled();
+    expect(Object.getOwnPropertyDescriptor(foo, 'a')).toBeDefined();
   });
 
-  test('pattern: only binds methods matching regex', () => {
+  test('resolves a separate plan per options', () => {
     class Foo {
-      constructor() {
-        this.name = 'foo';
-        autoBind(this, { pattern: /^handle/ });
-      }
-      handleClick() { return this.name; }
-      handleSubmit() { return this.name; }
-      otherMethod() { return this.name; }
+      a() {}
+      b() {}
     }
-    const foo = new Foo();
-    const { handleClick, handleSubmit, otherMethod } = foo;
-    expect(handleClick()).toBe('foo');
-    expect(handleSubmit()).toBe('foo');
-    expect(() => otherMethod()).toThrow();
+    const first = autoBind(new Foo(), { include: ['a'] });
+    const second = autoBind(new Foo(), { include: ['b'] });
+    expect(Object.getOwnPropertyNames(first)).toEqual(['a']);
+    expect(Object.getOwnPropertyNames(second)).toEqual(['b']);
   });
 
-  test('shorthand: autoBind(this, "method1", "method2")', () => {
+  test('is not affected by mutating the options afterwards', () => {
     class Foo {
-      constructor() {
-        this.name = 'foo';
-        autoBind(this, 'a', 'b');
-      }
-      a() { return this.name; }
-      b() { return this.name; }
-      c() { return this.name; }
+      a() {}
+      b() {}
     }
-    const foo = new Foo();
-    const { a, b, c } = foo;
-    expect(a()).toBe('foo');
-    expect(b()).toBe('foo');
-    expect(() => c()).toThrow();
+    const include = ['a'];
+    autoBind(new Foo(), { include });
+    include.push('b');
+    expect(Object.getOwnPropertyNames(autoBind(new Foo(), { include }))).toEqual(['a', 'b']);
   });
-});
 
-// ─── Lazy binding ───────────────────────────────────────────────────────────
+  test('detects methods added to a prototype in the chain', () => {
+    class Base {}
+    class Foo extends Base {
+      a() {}
+    }
+    autoBind(new Foo());
+    Base.prototype.b = function () {};
+    expect(Object.getOwnPropertyNames(autoBind(new Foo()))).toEqual(['a', 'b']);
 
-describe('lazy binding', () => {
-  test('binds method on first access', () => {
+    Foo.prototype.c = function () {
+      return this;
+    };
+    const foo = autoBind(new Foo());
+    const { c } = foo;
+    expect(c()).toBe(foo);
+  });
+
+  test('detects a changed prototype chain', () => {
     class Foo {
-      constructor() {
-        this.name = 'foo';
-        autoBind(this, { lazy: true });
-      }
-      getName() {
-        return this.name;
-      }
+      a() {}
     }
     const foo = new Foo();
-    const { getName } = foo;
-    expect(getName()).toBe('foo');
+    autoBind(new Foo());
+    Object.setPrototypeOf(Foo.prototype, { b() {} });
+    expect(Object.getOwnPropertyNames(autoBind(foo))).toEqual(['a', 'b']);
   });
 
-  test('caches the bound method after first access', () => {
+  test('clearCache() forces plans to be resolved again', () => {
     class Foo {
-      constructor() {
-        this.name = 'foo';
-        autoBind(this, { lazy: true });
-      }
-      getName() {
-        return this.name;
-      }
+      a() {}
     }
+    autoBind(new Foo());
+    clearCache();
+    const spy = jest.spyOn(Object, 'getOwnPropertyNames');
+    autoBind(new Foo());
+    expect(spy).toHaveBeenCalled();
+    expect(autoBind.clearCache).toBe(clearCache);
+  });
+});
+
+// ─── Unbind ─────────────────────────────────────────────────────────────────
+
+describe('unbind', () => {
+  class Foo {
+    constructor() {
+      this.name = 'foo';
+    }
+    a() { return this.name; }
+    b() { return this.name; }
+  }
+
+  test('removes the bindings installed by autoBind', () => {
+    const foo = autoBind(new Foo());
+    expect(autoBind.unbind(foo)).toBe(foo);
+    expect(Object.getOwnPropertyNames(foo)).toEqual(['name']);
+    expect(foo.a).toBe(Foo.prototype.a);
+  });
+
+  test('removes lazy getters and lazily bound values', () => {
+    const foo = autoBind(new Foo(), { lazy: true });
+    expect(typeof foo.a).toBe('function');
+    unbind(foo);
+    expect(Object.getOwnPropertyNames(foo)).toEqual(['name']);
+  });
+
+  test('keeps own properties assigned after binding', () => {
+    const foo = autoBind(new Foo());
+    const replacement = () => 'replaced';
+    foo.a = replacement;
+    unbind(foo);
+    expect(foo.a).toBe(replacement);
+    expect(Object.getOwnPropertyDescriptor(foo, 'b')).toBeUndefined();
+  });
+
+  test('accepts the same filters as autoBind', () => {
+    const foo = autoBind(new Foo());
+    unbind(foo, { exclude: ['a'] });
+    expect(Object.getOwnPropertyDescriptor(foo, 'a')).toBeDefined();
+    expect(Object.getOwnPropertyDescriptor(foo, 'b')).toBeUndefined();
+
+    unbind(foo, 'a');
+    expect(Object.getOwnPropertyDescriptor(foo, 'a')).toBeUndefined();
+  });
+
+  test('is a no-op for instances that were never bound', () => {
     const foo = new Foo();
-    const first = foo.getName;
-    const second = foo.getName;
-    expect(first).toBe(second);
+    expect(() => unbind(foo)).not.toThrow();
+    expect(Object.getOwnPropertyNames(foo)).toEqual(['name']);
+  });
+
+  test('allows binding again after unbinding', () => {
+    const foo = unbind(autoBind(new Foo()));
+    autoBind(foo);
+    const { a } = foo;
+    expect(a()).toBe('foo');
   });
 });
 
@@ -210,6 +2033,269 @@ describe('autoBindReact', () => {
     expect(ownKeys).not.toContain('componentDidMount');
     expect(ownKeys).toContain('handleClick');
   });
+
+  // Stubs shaped like React's: PureComponent.prototype copies Component.prototype
+  class Component {
+    constructor(props) { this.props = props; }
+    setState() {}
+    forceUpdate() {}
+    internalHelper() {}
+  }
+  Component.prototype.isReactComponent = {};
+  class PureComponent extends Component {}
+  Object.assign(PureComponent.prototype, { isReactComponent: {}, isPureReactComponent: true });
+
+  test('stops at the React base class', () => {
+    class Base extends Component {
+      handleBase() { return this.props.label; }
+    }
+    class Button extends Base {
+      constructor(props) {
+        super(props);
+        autoBindReact(this);
+      }
+      handleClick() { return this.props.label; }
+      getChildContext() { return {}; }
+      UNSAFE_componentWillMount() {}
+    }
+    const button = new Button({ label: 'ok' });
+    const { handleClick, handleBase } = button;
+    expect(handleClick()).toBe('ok');
+    expect(handleBase()).toBe('ok');
+    expect(Object.getOwnPropertyNames(button).sort()).toEqual(['handleBase', 'handleClick', 'props']);
+  });
+
+  test('stops at PureComponent', () => {
+    class List extends PureComponent {
+      constructor(props) {
+        super(props);
+        autoBindReact(this);
+      }
+      setState() {}
+      handleSelect() {}
+    }
+    const list = new List({});
+    expect(Object.getOwnPropertyNames(list).sort()).toEqual(['handleSelect', 'props']);
+    const setState = inspect(list, { preset: 'react' }).methods.find((m) => m.name === 'setState');
+    expect(setState.reason).toBe('lifecycle');
+  });
+
+  test('skips static lifecycles when binding statics', () => {
+    class Profile extends Component {
+      static getDerivedStateFromProps() { return null; }
+      static getDerivedStateFromError() { return null; }
+      static fetchData() { return this.name; }
+    }
+    autoBindStatic(Profile, { preset: 'react' });
+    expect(isBound(Profile.getDerivedStateFromProps)).toBe(false);
+    expect(isBound(Profile.getDerivedStateFromError)).toBe(false);
+    const { fetchData } = Profile;
+    expect(fetchData()).toBe('Profile');
+  });
+});
+
+// ─── autoBindElement ────────────────────────────────────────────────────────
+
+describe('autoBindElement', () => {
+  // Stub platform and framework base classes
+  class EventTarget {
+    addEventListener() {}
+    dispatchEvent() {}
+  }
+  class Node extends EventTarget {
+    appendChild() {}
+  }
+  class Element extends Node {
+    getAttribute() {}
+  }
+  class HTMLElement extends Element {
+    click() {}
+  }
+  class ReactiveElement extends HTMLElement {
+    requestUpdate() {}
+    connectedCallback() {}
+  }
+  class LitElement extends ReactiveElement {
+    render() {}
+    update() {}
+  }
+
+  test('skips lifecycle callbacks and stops at HTMLElement', () => {
+    class MyButton extends HTMLElement {
+      constructor() {
+        super();
+        this.label = 'ok';
+        autoBindElement(this);
+      }
+      connectedCallback() {}
+      disconnectedCallback() {}
+      attributeChangedCallback() {}
+      adoptedCallback() {}
+      handleClick() { return this.label; }
+    }
+    const button = new MyButton();
+    expect(Object.getOwnPropertyNames(button)).toEqual(['label', 'handleClick']);
+    const { handleClick } = button;
+    expect(handleClick()).toBe('ok');
+  });
+
+  test('skips Lit lifecycle methods and stops at LitElement', () => {
+    class MyCard extends LitElement {
+      constructor() {
+        super();
+        autoBindElement(this);
+      }
+      render() {}
+      updated() {}
+      firstUpdated() {}
+      willUpdate() {}
+      onToggle() {}
+    }
+    expect(Object.getOwnPropertyNames(new MyCard())).toEqual(['onToggle']);
+  });
+
+  test('binds methods of intermediate user base classes', () => {
+    class BaseElement extends HTMLElement {
+      emit() {}
+    }
+    class MyInput extends BaseElement {
+      constructor() {
+        super();
+        autoBindElement(this);
+      }
+      onInput() {}
+    }
+    expect(Object.getOwnPropertyNames(new MyInput())).toEqual(['onInput', 'emit']);
+  });
+
+  test('stops at native base classes', () => {
+    class MyMap extends Map {
+      constructor() {
+        super();
+        autoBindElement(this);
+      }
+      lookup() {}
+    }
+    expect(Object.getOwnPropertyNames(new MyMap())).toEqual(['lookup']);
+  });
+
+  test('accepts an explicit stopAt and regular options', () => {
+    class Base extends HTMLElement {
+      shared() {}
+    }
+    class MyEl extends Base {
+      onA() {}
+      onB() {}
+    }
+    expect(Object.getOwnPropertyNames(autoBindElement(new MyEl(), { stopAt: Base, exclude: ['onB'] })))
+      .toEqual(['onA']);
+  });
+});
+
+// ─── Presets ────────────────────────────────────────────────────────────────
+
+describe('presets', () => {
+  test('built-in react preset matches autoBindReact', () => {
+    class Comp {
+      constructor() { autoBind(this, { preset: 'react' }); }
+      render() {}
+      componentDidMount() {}
+      handleClick() {}
+    }
+    expect(Object.getOwnPropertyNames(new Comp())).toEqual(['handleClick']);
+  });
+
+  test('built-in eventemitter preset stops at EventEmitter', () => {
+    const { EventEmitter } = require('events');
+    class Store extends EventEmitter {
+      constructor() {
+        super();
+        autoBind(this, { preset: 'eventemitter' });
+      }
+      emit(...args) { return super.emit(...args); }
+      update() {}
+    }
+    const store = new Store();
+    expect(Object.getOwnPropertyDescriptor(store, 'update')).toBeDefined();
+    expect(Object.getOwnPropertyDescriptor(store, 'emit')).toBeUndefined();
+    expect(Object.getOwnPropertyDescriptor(store, 'on')).toBeUndefined();
+  });
+
+  test('user-defined presets apply their options', () => {
+    class Controller {
+      before() {}
+      internal() {}
+    }
+    definePreset('test-controller', {
+      exclude: ['before*'],
+      stopAt: Controller,
+    });
+    class Users extends Controller {
+      beforeAll() {}
+      list() {}
+    }
+    expect(Object.getOwnPropertyNames(autoBind(new Users(), { preset: 'test-controller' })))
+      .toEqual(['list']);
+    expect(autoBind.definePreset).toBe(definePreset);
+  });
+
+  test('presets compose, with caller options applied last', () => {
+    definePreset('test-a', { exclude: ['a'], pattern: 'a*' });
+    definePreset('test-b', { exclude: ['b'], pattern: 'b*', filter: (name) => name !== 'bz' });
+    class Foo {
+      a() {}
+      ab() {}
+      b() {}
+      bc() {}
+      bz() {}
+      cd() {}
+      ce() {}
+    }
+    const foo = autoBind(new Foo(), { preset: ['test-a', 'test-b'], pattern: 'c*', exclude: ['ce'] });
+    expect(Object.getOwnPropertyNames(foo)).toEqual(['ab', 'bc', 'cd']);
+  });
+
+  test('presets can build on other presets', () => {
+    definePreset('test-base', { exclude: ['render'] });
+    definePreset('test-derived', { preset: 'test-base', exclude: ['update'] });
+    class Foo {
+      render() {}
+      update() {}
+      other() {}
+    }
+    expect(Object.getOwnPropertyNames(autoBind(new Foo(), { preset: 'test-derived' })))
+      .toEqual(['other']);
+  });
+
+  test('resolve computes options per instance', () => {
+    definePreset('test-resolve', {
+      resolve: (self) => ({ exclude: self.skip }),
+    });
+    class Foo {
+      constructor(skip) { this.skip = skip; }
+      a() {}
+      b() {}
+    }
+    expect(Object.getOwnPropertyNames(autoBind(new Foo(['a']), { preset: 'test-resolve' })))
+      .toEqual(['skip', 'b']);
+  });
+
+  test('preset excludes are reported as lifecycle and not checked by strict mode', () => {
+    definePreset('test-strict', { exclude: ['doesNotExist', 'hook'] });
+    class Foo {
+      hook() {}
+      other() {}
+    }
+    expect(() => autoBind(new Foo(), { preset: 'test-strict', strict: true })).not.toThrow();
+    const report = inspect(new Foo(), { preset: 'test-strict' });
+    expect(report.methods.find((m) => m.key === 'hook').reason).toBe('lifecycle');
+  });
+
+  test('throws for unknown presets and invalid definitions', () => {
+    expect(() => autoBind({}, { preset: 'nope' })).toThrow('unknown preset "nope"');
+    expect(() => definePreset('', {})).toThrow(TypeError);
+    expect(() => definePreset('x', null)).toThrow(TypeError);
+  });
 });
 
 // ─── Decorators ─────────────────────────────────────────────────────────────
@@ -284,6 +2370,234 @@ describe('bound method decorator', () => {
   });
 });
 
+describe('standard (TC39) decorators', () => {
+  // Simulate how a standard decorator runtime applies a method decorator
+  function decorateMethod(Class, key, decorator, isStatic = false) {
+    const home = isStatic ? Class : Class.prototype;
+    const initializers = [];
+    const context = {
+      kind: 'method',
+      name: key,
+      static: isStatic,
+      private: false,
+      addInitializer(fn) { initializers.push(fn); },
+    };
+    const result = decorator(home[key], context);
+    if (result) home[key] = result;
+    return initializers;
+  }
+
+  test('bound: binds the method through an initializer', () => {
+    let initializers;
+    class Foo {
+      constructor() {
+        this.name = 'foo';
+        initializers.forEach((fn) => fn.call(this));
+      }
+      getName() { return this.name; }
+    }
+    initializers = decorateMethod(Foo, 'getName', bound);
+
+    const foo = new Foo();
+    const { getName } = foo;
+    expect(getName()).toBe('foo');
+    expect(foo.getName).toBe(foo.getName);
+    expect(Foo.prototype.getName.call({ name: 'raw' })).toBe('raw');
+  });
+
+  test('bound: subclass overrides are left alone', () => {
+    let initializers;
+    class Base {
+      constructor() { initializers.forEach((fn) => fn.call(this)); }
+      getName() { return 'base'; }
+    }
+    class Child extends Base {
+      getName() { return 'child'; }
+    }
+    initializers = decorateMethod(Base, 'getName', bound);
+
+    const child = new Child();
+    expect(Object.getOwnPropertyDescriptor(child, 'getName')).toBeUndefined();
+    expect(child.getName()).toBe('child');
+  });
+
+  test('bound: binds static methods to the class', () => {
+    class Foo {
+      static label = 'Foo';
+      static getLabel() { return this.label; }
+    }
+    const initializers = decorateMethod(Foo, 'getLabel', bound, true);
+    initializers.forEach((fn) => fn.call(Foo));
+
+    const { getLabel } = Foo;
+    expect(getLabel()).toBe('Foo');
+  });
+
+  test('bound: rejects fields and private methods', () => {
+    const addInitializer = () => {};
+    expect(() => bound(undefined, { kind: 'field', name: 'x', addInitializer })).toThrow(
+      '@bound can only be applied to methods'
+    );
+    expect(() => bound(function () {}, { kind: 'method', name: '#x', private: true, addInitializer }))
+      .toThrow(TypeError);
+  });
+
+  test('debounced: debounces per instance through an initializer', () => {
+    jest.useFakeTimers();
+    let initializers;
+    class Foo {
+      constructor() {
+        this.values = [];
+        initializers.forEach((fn) => fn.call(this));
+      }
+      onInput(value) { this.values.push(value); }
+    }
+    initializers = decorateMethod(Foo, 'onInput', debounced(50));
+
+    const foo = new Foo();
+    const { onInput } = foo;
+    onInput('a');
+    onInput('b');
+    jest.advanceTimersByTime(50);
+    expect(foo.values).toEqual(['b']);
+    expect(foo.onInput).toBe(onInput);
+    expect(() => debounced(50)(undefined, { kind: 'field', name: 'x', addInitializer() {} })).toThrow(
+      '@debounced can only be applied to methods'
+    );
+    jest.useRealTimers();
+  });
+
+  test('boundClass: accepts a class decorator context', () => {
+    class Foo {
+      constructor() { this.name = 'foo'; }
+      getName() { return this.name; }
+    }
+    const BoundFoo = boundClass(Foo, { kind: 'class', name: 'Foo', addInitializer() {} });
+    const foo = new BoundFoo();
+    const { getName } = foo;
+    expect(getName()).toBe('foo');
+    expect(foo instanceof Foo).toBe(true);
+  });
+
+  test('boundClass: rejects non-class contexts', () => {
+    expect(() => boundClass(function () {}, { kind: 'method', name: 'x' })).toThrow(TypeError);
+  });
+});
+
+// ─── Errors ─────────────────────────────────────────────────────────────────
+
+describe('errors', () => {
+  const catchError = (fn) => {
+    try {
+      fn();
+    } catch (error) {
+      return error;
+    }
+    throw new Error('expected an error');
+  };
+
+  test('rejects non-object targets with INVALID_TARGET', () => {
+    for (const target of [null, undefined, 42, 'str']) {
+      const error = catchError(() => autoBind(target));
+      expect(error).toBeInstanceOf(AutoBindError);
+      expect(error).toBeInstanceOf(TypeError);
+      expect(error.code).toBe('INVALID_TARGET');
+    }
+    expect(catchError(() => autoBind(null)).message).toBe(
+      'autoBind: expected an object or class instance, got null'
+    );
+    expect(catchError(() => inspect(42)).code).toBe('INVALID_TARGET');
+    expect(catchError(() => unbind(undefined)).code).toBe('INVALID_TARGET');
+  });
+
+  test('names the class and method for non-configurable properties', () => {
+    class Foo {
+      save() {}
+    }
+    const foo = new Foo();
+    Object.defineProperty(foo, 'save', { value: Foo.prototype.save, configurable: false });
+    const error = catchError(() => autoBind(foo));
+    expect(error.code).toBe('NON_CONFIGURABLE');
+    expect(error.key).toBe('save');
+    expect(error.message).toContain('Foo#save');
+  });
+
+  test('reports frozen instances with NOT_EXTENSIBLE', () => {
+    class Foo {
+      method() {}
+    }
+    const error = catchError(() => autoBind(Object.freeze(new Foo())));
+    expect(error.code).toBe('NOT_EXTENSIBLE');
+    expect(error.message).toContain("Use { mode: 'proxy' }");
+    expect(catchError(() => autoBind(Object.seal(new Foo()), { lazy: true })).code)
+      .toBe('NOT_EXTENSIBLE');
+  });
+
+  test('refuses unsafe keys', () => {
+    class Foo {
+      ['__proto__']() {}
+      other() {}
+    }
+    const error = catchError(() => autoBind(new Foo()));
+    expect(error.code).toBe('UNSAFE_KEY');
+    expect(Object.getPrototypeOf(autoBind(new Foo(), { onConflict: 'skip' }))).toBe(Foo.prototype);
+  });
+
+  test('onConflict: skip and warn bind the remaining methods', () => {
+    class Foo {
+      constructor() { this.name = 'foo'; }
+      a() { return this.name; }
+      b() { return this.name; }
+    }
+    const make = () => {
+      const foo = new Foo();
+      Object.defineProperty(foo, 'a', { value: Foo.prototype.a, configurable: false });
+      return foo;
+    };
+
+    const skipped = autoBind(make(), { onConflict: 'skip' });
+    expect(skipped.b.call(undefined)).toBe('foo');
+
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const warned = autoBind(make(), { onConflict: 'warn' });
+    expect(warned.b.call(undefined)).toBe('foo');
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('Foo#a'));
+    warn.mockRestore();
+  });
+
+  test('prototype lazy mode still hands out bound methods on frozen instances', () => {
+    class Foo {
+      constructor() {
+        this.name = 'foo';
+        autoBind(this, { lazy: 'prototype' });
+        Object.freeze(this);
+      }
+      getName() { return this.name; }
+    }
+    const { getName } = new Foo();
+    expect(getName()).toBe('foo');
+  });
+
+  test('inspect reports conflicts as skip reasons', () => {
+    class Foo {
+      method() {}
+    }
+    const report = inspect(Object.freeze(new Foo()));
+    expect(report.methods[0].reason).toBe('not-extensible');
+  });
+
+  test('other errors carry codes too', () => {
+    expect(catchError(() => autoBind({}, { preset: 'nope' })).code).toBe('UNKNOWN_PRESET');
+    expect(catchError(() => definePreset('', {})).code).toBe('INVALID_PRESET');
+    expect(catchError(() => bound({}, 'x', { value: 1 })).code).toBe('INVALID_DECORATOR');
+    class Foo {
+      method() {}
+    }
+    expect(catchError(() => autoBind(new Foo(), { include: ['metod'], strict: true })).code)
+      .toBe('UNKNOWN_METHOD');
+  });
+});
+
 // ─── Edge cases ─────────────────────────────────────────────────────────────
 
 describe('edge cases', () => {
@@ -0,0 +1,117 @@
+/**
+ * auto-bind-js/testing (CommonJS)
+ */
+
+'use strict';
+
+const { inspect, isBound, bindingState, SKIP_REASONS } = require('./index.cjs');
+
+const HANDLER_PATTERN = [/^handle[A-Z_]/, /^on[A-Z_]/];
+
+function describeInstance(value) {
+  if (value === null || (typeof value !== 'object' && typeof value !== 'function')) return String(value);
+  if (typeof value === 'function') return value.name || 'class';
+  const ctor = value.constructor;
+  return ctor && ctor.name && ctor !== Object ? `${ctor.name} instance` : 'object';
+}
+
+function describeFunction(fn) {
+  return typeof fn === 'function' ? `function ${fn.name || '(anonymous)'}` : String(fn);
+}
+
+function formatNames(keys) {
+  return keys.map((key) => String(key)).join(', ');
+}
+
+function isMethodBound(self, key) {
+  if (bindingState(self, key)) return true;
+
+  const value = self[key];
+  return typeof value === 'function' && isBound(value, self);
+}
+
+function toBeBoundTo(received, instance) {
+  const pass = typeof received === 'function' && isBound(received, instance);
+  const target = describeInstance(instance);
+
+  return {
+    pass,
+    message: () => {
+      if (pass) return `expected ${describeFunction(received)} not to be bound to the ${target}`;
+      if (typeof received === 'function' && isBound(received)) {
+        return `expected ${describeFunction(received)} to be bound to the ${target}, but it is bound to another object`;
+      }
+      return `expected ${describeFunction(received)} to be bound to the ${target}, but autoBind did not bind it`;
+    },
+  };
+}
+
+function toHaveBoundMethods(received, names) {
+  const unbound = names.filter((key) => !isMethodBound(received, key));
+  const pass = unbound.length === 0;
+
+  return {
+    pass,
+    message: () => pass
+      ? `expected ${describeInstance(received)} not to have bound methods ${formatNames(names)}`
+      : `expected ${describeInstance(received)} to have bound methods, but these are not bound: ${formatNames(unbound)}`,
+  };
+}
+
+function toHaveUnboundMethods(received, names) {
+  const bound = names.filter((key) => isMethodBound(received, key));
+  const pass = bound.length === 0;
+
+  return {
+    pass,
+    message: () => pass
+      ? `expected ${describeInstance(received)} to have some of ${formatNames(names)} bound`
+      : `expected ${describeInstance(received)} to leave methods unbound, but these are bound: ${formatNames(bound)}`,
+  };
+}
+
+function toBeLazilyBound(received, name) {
+  const state = bindingState(received, name);
+  const pass = state === 'lazy';
+  const method = `${describeInstance(received)}#${String(name)}`;
+
+  return {
+    pass,
+    message: () => {
+      if (pass) return `expected ${method} not to be lazily bound`;
+      if (state === 'bound') return `expected ${method} to be lazily bound, but it is already bound`;
+      return `expected ${method} to be lazily bound, but no lazy binding is installed`;
+    },
+  };
+}
+
+const matchers = {
+  toBeBoundTo,
+  toHaveBoundMethods,
+  toHaveUnboundMethods,
+  toBeLazilyBound,
+};
+
+function expectAllHandlersBound(Class, ctorArgs = [], options = {}) {
+  const instance = new Class(...ctorArgs);
+  const pattern = options.pattern || HANDLER_PATTERN;
+
+  const handlers = inspect(instance, { pattern }).methods
+    .filter((m) => m.reason !== SKIP_REASONS.BUILTIN && m.reason !== SKIP_REASONS.PATTERN_MISMATCH)
+    .map((m) => m.key);
+  const unbound = handlers.filter((key) => !isMethodBound(instance, key));
+
+  if (unbound.length) {
+    throw new Error(
+      `expected every handler of ${describeInstance(Class)} to be bound, but these are not: ${formatNames(unbound)}`
+    );
+  }
+  return instance;
+}
+
+module.exports.matchers = matchers;
+module.exports.toBeBoundTo = toBeBoundTo;
+module.exports.toHaveBoundMethods = toHaveBoundMethods;
+module.exports.toHaveUnboundMethods = toHaveUnboundMethods;
+module.exports.toBeLazilyBound = toBeLazilyBound;
+module.exports.expectAllHandlersBound = expectAllHandlersBound;
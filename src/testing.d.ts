@@ -0,0 +1,79 @@
+/** Result of a matcher, as expected by `expect.extend` */
+export interface MatcherResult {
+  pass: boolean;
+  message(): string;
+}
+
+/**
+ * The matchers added by `expect.extend(matchers)`. Augment your runner's
+ * assertion type with it, e.g. for Vitest:
+ *
+ * ```ts
+ * declare module 'vitest' {
+ *   interface Assertion<T = any> extends AutoBindMatchers<T> {}
+ * }
+ * ```
+ */
+export interface AutoBindMatchers<R = unknown> {
+  /** The function was bound to `instance` by autoBind or a decorator */
+  toBeBoundTo(instance: object): R;
+  /** Every method keeps `this` when detached (bound now or on first access) */
+  toHaveBoundMethods(names: (string | symbol)[]): R;
+  /** None of the methods is bound */
+  toHaveUnboundMethods(names: (string | symbol)[]): R;
+  /** The method will be bound on first access and hasn't been accessed yet */
+  toBeLazilyBound(name: string | symbol): R;
+}
+
+/**
+ * Matchers for `expect.extend`, framework-agnostic (Jest, Vitest, Bun, ...).
+ *
+ * @example
+ * ```ts
+ * import { matchers } from 'auto-bind-js/testing';
+ * expect.extend(matchers);
+ *
+ * expect(button.handleClick).toBeBoundTo(button);
+ * expect(button).toHaveUnboundMethods(['render']);
+ * ```
+ */
+export declare const matchers: {
+  toBeBoundTo(received: unknown, instance: object): MatcherResult;
+  toHaveBoundMethods(received: object, names: (string | symbol)[]): MatcherResult;
+  toHaveUnboundMethods(received: object, names: (string | symbol)[]): MatcherResult;
+  toBeLazilyBound(received: object, name: string | symbol): MatcherResult;
+};
+
+export declare const toBeBoundTo: typeof matchers.toBeBoundTo;
+export declare const toHaveBoundMethods: typeof matchers.toHaveBoundMethods;
+export declare const toHaveUnboundMethods: typeof matchers.toHaveUnboundMethods;
+export declare const toBeLazilyBound: typeof matchers.toBeLazilyBound;
+
+export interface HandlerCheckOptions {
+  /** Which methods are handlers. Defaults to `handle*` and `on*` names. */
+  pattern?: RegExp | string | symbol | (RegExp | string | symbol)[];
+}
+
+/**
+ * Construct `Class` and throw unless every handler method of the instance
+ * is bound (or lazily bound). Returns the instance.
+ *
+ * @example
+ * ```ts
+ * test('handlers are bound', () => {
+ *   expectAllHandlersBound(SearchBox, [{ debounce: 100 }]);
+ * });
+ * ```
+ */
+export declare function expectAllHandlersBound<C extends new (...args: any[]) => any>(
+  Class: C,
+  ctorArgs?: ConstructorParameters<C>,
+  options?: HandlerCheckOptions
+): InstanceType<C>;
+
+declare global {
+  namespace jest {
+    // Same type parameters as @types/jest, so the declarations merge
+    interface Matchers<R = void, T = {}> extends AutoBindMatchers<R> {}
+  }
+}
@@ -0,0 +1,163 @@
+/**
+ * auto-bind-js/testing
+ * Assertions about bound methods, for any test runner with `expect.extend`
+ * (Jest, Vitest, Bun, ...).
+ *
+ * The checks use autoBind's own bookkeeping (which functions it bound, to
+ * which instance, and which getters are still pending), never `fn.name`.
+ *
+ * Usage:
+ *   import { matchers } from 'auto-bind-js/testing';
+ *   expect.extend(matchers);
+ *
+ *   expect(button.handleClick).toBeBoundTo(button);
+ *   expect(button).toHaveBoundMethods(['handleClick']);
+ *   expect(button).toHaveUnboundMethods(['render']);
+ *   expect(button).toBeLazilyBound('handleKey');
+ */
+
+import { inspect, isBound, bindingState, SKIP_REASONS } from './index.mjs';
+
+/** Handler names checked by `expectAllHandlersBound` by default */
+const HANDLER_PATTERN = [/^handle[A-Z_]/, /^on[A-Z_]/];
+
+function describeInstance(value) {
+  if (value === null || (typeof value !== 'object' && typeof value !== 'function')) return String(value);
+  if (typeof value === 'function') return value.name || 'class';
+  const ctor = value.constructor;
+  return ctor && ctor.name && ctor !== Object ? `${ctor.name} instance` : 'object';
+}
+
+function describeFunction(fn) {
+  return typeof fn === 'function' ? `function ${fn.name || '(anonymous)'}` : String(fn);
+}
+
+function formatNames(keys) {
+  return keys.map((key) => String(key)).join(', ');
+}
+
+/**
+ * Whether reading `key` from `self` gives a function bound to `self`, now
+ * or on first access. Lazy getters are not triggered.
+ */
+function isMethodBound(self, key) {
+  if (bindingState(self, key)) return true;
+
+  // Proxy mode hands out bound functions without defining anything
+  const value = self[key];
+  return typeof value === 'function' && isBound(value, self);
+}
+
+/**
+ * `expect(fn).toBeBoundTo(instance)`: `fn` was bound to `instance` by
+ * autoBind or a decorator
+ */
+function toBeBoundTo(received, instance) {
+  const pass = typeof received === 'function' && isBound(received, instance);
+  const target = describeInstance(instance);
+
+  return {
+    pass,
+    message: () => {
+      if (pass) return `expected ${describeFunction(received)} not to be bound to the ${target}`;
+      if (typeof received === 'function' && isBound(received)) {
+        return `expected ${describeFunction(received)} to be bound to the ${target}, but it is bound to another object`;
+      }
+      return `expected ${describeFunction(received)} to be bound to the ${target}, but autoBind did not bind it`;
+    },
+  };
+}
+
+/**
+ * `expect(instance).toHaveBoundMethods(names)`: every method keeps `this`
+ * when detached (bound already, or bound lazily on first access)
+ */
+function toHaveBoundMethods(received, names) {
+  const unbound = names.filter((key) => !isMethodBound(received, key));
+  const pass = unbound.length === 0;
+
+  return {
+    pass,
+    message: () => pass
+      ? `expected ${describeInstance(received)} not to have bound methods ${formatNames(names)}`
+      : `expected ${describeInstance(received)} to have bound methods, but these are not bound: ${formatNames(unbound)}`,
+  };
+}
+
+/**
+ * `expect(instance).toHaveUnboundMethods(names)`: none of the methods is
+ * bound, e.g. lifecycle methods skipped by a preset
+ */
+function toHaveUnboundMethods(received, names) {
+  const bound = names.filter((key) => isMethodBound(received, key));
+  const pass = bound.length === 0;
+
+  return {
+    pass,
+    message: () => pass
+      ? `expected ${describeInstance(received)} to have some of ${formatNames(names)} bound`
+      : `expected ${describeInstance(received)} to leave methods unbound, but these are bound: ${formatNames(bound)}`,
+  };
+}
+
+/**
+ * `expect(instance).toBeLazilyBound(name)`: the method will be bound on
+ * first access and hasn't been accessed yet
+ */
+function toBeLazilyBound(received, name) {
+  const state = bindingState(received, name);
+  const pass = state === 'lazy';
+  const method = `${describeInstance(received)}#${String(name)}`;
+
+  return {
+    pass,
+    message: () => {
+      if (pass) return `expected ${method} not to be lazily bound`;
+      if (state === 'bound') return `expected ${method} to be lazily bound, but it is already bound`;
+      return `expected ${method} to be lazily bound, but no lazy binding is installed`;
+    },
+  };
+}
+
+const matchers = {
+  toBeBoundTo,
+  toHaveBoundMethods,
+  toHaveUnboundMethods,
+  toBeLazilyBound,
+};
+
+/**
+ * Construct `Class` and throw unless every handler method (`handle*` and
+ * `on*` by default) of the instance is bound. Returns the instance.
+ *
+ * @param {Function} Class - The class to construct
+ * @param {Array} [ctorArgs] - Constructor arguments
+ * @param {object} [options]
+ * @param {RegExp|string|symbol|Array} [options.pattern] - Which methods are handlers
+ * @returns {object} The instance
+ */
+function expectAllHandlersBound(Class, ctorArgs = [], options = {}) {
+  const instance = new Class(...ctorArgs);
+  const pattern = options.pattern || HANDLER_PATTERN;
+
+  const handlers = inspect(instance, { pattern }).methods
+    .filter((m) => m.reason !== SKIP_REASONS.BUILTIN && m.reason !== SKIP_REASONS.PATTERN_MISMATCH)
+    .map((m) => m.key);
+  const unbound = handlers.filter((key) => !isMethodBound(instance, key));
+
+  if (unbound.length) {
+    throw new Error(
+      `expected every handler of ${describeInstance(Class)} to be bound, but these are not: ${formatNames(unbound)}`
+    );
+  }
+  return instance;
+}
+
+export {
+  matchers,
+  toBeBoundTo,
+  toHaveBoundMethods,
+  toHaveUnboundMethods,
+  toBeLazilyBound,
+  expectAllHandlersBound,
+};
@@ -0,0 +1,122 @@
+const autoBind = require('../src/index.cjs');
+const { autoBindReact, bound } = require('../src/index.cjs');
+const {
+  matchers,
+  toBeBoundTo,
+  expectAllHandlersBound,
+} = require('../src/testing.cjs');
+
+expect.extend(matchers);
+
+class Button {
+  constructor(options) {
+    this.label = 'ok';
+    autoBind(this, options);
+  }
+  handleClick() { return this.label; }
+  onKey() { return this.label; }
+}
+
+// ─── Matchers ───────────────────────────────────────────────────────────────
+
+describe('toBeBoundTo', () => {
+  test('passes for functions bound to the instance', () => {
+    const button = new Button();
+    const { handleClick } = button;
+    expect(handleClick).toBeBoundTo(button);
+    expect(handleClick).not.toBeBoundTo(new Button());
+    expect(Button.prototype.handleClick).not.toBeBoundTo(button);
+  });
+
+  test('does not trust the function name', () => {
+    const button = new Button({ exclude: ['onKey'] });
+    const fake = Button.prototype.onKey.bind(button);
+    expect(fake.name).toBe('bound onKey');
+    expect(fake).not.toBeBoundTo(button);
+  });
+
+  test('explains failures', () => {
+    const button = new Button();
+    const other = new Button();
+    expect(toBeBoundTo(button.handleClick, other).message()).toBe(
+      'expected function bound handleClick to be bound to the Button instance, but it is bound to another object'
+    );
+    expect(toBeBoundTo(Button.prototype.handleClick, button).message()).toMatch(/autoBind did not bind it/);
+  });
+});
+
+describe('toHaveBoundMethods / toHaveUnboundMethods', () => {
+  test('check methods by name', () => {
+    class Panel {
+      constructor() { autoBindReact(this); }
+      render() {}
+      componentDidMount() {}
+      handleToggle() {}
+    }
+    const panel = new Panel();
+    expect(panel).toHaveBoundMethods(['handleToggle']);
+    expect(panel).toHaveUnboundMethods(['render', 'componentDidMount']);
+    expect(panel).not.toHaveBoundMethods(['handleToggle', 'render']);
+  });
+
+  test('count lazy bindings as bound without triggering them', () => {
+    const button = new Button({ lazy: true });
+    expect(button).toHaveBoundMethods(['handleClick', 'onKey']);
+    expect(button).toBeLazilyBound('handleClick');
+  });
+
+  test('see through proxy mode', () => {
+    const button = autoBind.proxy(Object.freeze(new Button({ include: [] })));
+    expect(button).toHaveBoundMethods(['handleClick']);
+  });
+});
+
+describe('toBeLazilyBound', () => {
+  test('passes until the method is accessed', () => {
+    const button = new Button({ lazy: true });
+    expect(button).toBeLazilyBound('onKey');
+    button.onKey();
+    expect(button).not.toBeLazilyBound('onKey');
+    expect(button).toHaveBoundMethods(['onKey']);
+  });
+
+  test('supports prototype getters and the bound decorator', () => {
+    class Field {
+      constructor() { autoBind(this, { lazy: 'prototype', exclude: ['onBlur'] }); }
+      onInput() {}
+      onBlur() {}
+    }
+    const descriptor = Object.getOwnPropertyDescriptor(Field.prototype, 'onBlur');
+    Object.defineProperty(Field.prototype, 'onBlur', bound(Field.prototype, 'onBlur', descriptor));
+
+    const field = new Field();
+    expect(field).toBeLazilyBound('onInput');
+    expect(field).toBeLazilyBound('onBlur');
+    expect(new Button()).not.toBeLazilyBound('handleClick');
+  });
+});
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+describe('expectAllHandlersBound', () => {
+  test('returns the instance when every handler is bound', () => {
+    const button = expectAllHandlersBound(Button, [{ lazy: true }]);
+    expect(button).toBeInstanceOf(Button);
+  });
+
+  test('throws listing the unbound handlers', () => {
+    expect(() => expectAllHandlersBound(Button, [{ exclude: ['onKey'] }])).toThrow(
+      'expected every handler of Button to be bound, but these are not: onKey'
+    );
+  });
+
+  test('accepts a custom handler pattern', () => {
+    class Form {
+      constructor() { autoBind(this, { include: ['submit'] }); }
+      submit() {}
+      reset() {}
+    }
+    expect(() => expectAllHandlersBound(Form)).not.toThrow();
+    expect(() => expectAllHandlersBound(Form, [], { pattern: ['submit', 'reset'] })).toThrow(/reset$/);
+  });
+});